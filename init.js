@@ -6,6 +6,7 @@ const path = require('path');
 
 const Website = require('@workers/websiteListener.js');
 const logging = require('@middlewares/logging.js');
+const { normalizeAddress } = require('@helpers/proxyProtocol.js');
 const PoolWorker = require('@workers/poolWorker.js');
 const CliListener = require('@workers/cliListener.js');
 
@@ -15,6 +16,15 @@ const LOG_DIR = './logs';
 const LOG_FILE_SUFFIX = '_blocks.json';
 const SPAWN_INTERVAL_MS = 250;
 const RESTART_DELAY_MS = 2000;
+const DEFAULT_BAN_TIME = 600; // seconds
+const EXTRANONCE1_SPACE = 0x100000000; // extraNonce1 is 4 bytes
+const SERVER_PREFIXES = 256; // clustering.serverPrefix takes the top byte of extraNonce1
+const DEFAULT_MINERS_PER_FORK = 65536; // Miners a fork's extraNonce1 range must fit when connectionLimits.maxConnections is unset
+
+let shuttingDown = false;
+
+// Banned IPs shared by every pool fork: IP -> ban end in milliseconds since the epoch
+const bannedIPs = {};
 
 /**
  * Loads the main configuration file.
@@ -85,20 +95,109 @@ function createEmptyLogs() {
  * Creates a pool cluster worker and handles its lifecycle.
  * @param {number} forkId - The ID of the fork.
  * @param {Object} poolWorkers - The pool cluster workers object.
+ * @param {Object} extraNonceRange - The extraNonce1 range the fork hands out to miners.
+ * @param {Object} connectionLimits - The fork's share of the connection limits.
  */
-function createPoolWorker(forkId, poolWorkers) {
+function createPoolWorker(forkId, poolWorkers, extraNonceRange, connectionLimits) {
     const worker = cluster.fork({
         workerType: 'pool',
         forkId: forkId,
+        extraNonceRange: JSON.stringify(extraNonceRange),
+        connectionLimits: JSON.stringify(connectionLimits),
         config: JSON.stringify(config)
     });
     worker.forkId = forkId;
     worker.type = 'pool';
     poolWorkers[forkId] = worker;
-    worker.on('exit', (code, signal) => {
+    worker.on('online', () => {
+        Object.keys(bannedIPs).forEach(ip => worker.send({ type: 'ban', ip, until: bannedIPs[ip] }));
+    }).on('message', (message) => {
+        if (message.type === 'bannedIP') {
+            banIP(message.ip, message.until);
+        }
+    }).on('exit', (code, signal) => {
+        if (shuttingDown) { return; }
         logging('Pool', 'error', `Fork ${forkId} died, spawning replacement worker...`, forkId);
-        setTimeout(() => { createPoolWorker(forkId, poolWorkers); }, RESTART_DELAY_MS);
+        setTimeout(() => { createPoolWorker(forkId, poolWorkers, extraNonceRange, connectionLimits); }, RESTART_DELAY_MS);
+    });
+}
+
+/**
+ * Splits the extraNonce1 space into one range per fork.
+ * With clustering.serverPrefix set, this server only uses the 1/256th of the space that starts with that byte,
+ * so several servers mining to the same daemon never hand out the same extraNonce1 either, as long as each of
+ * them is given its own prefix; a server can't see which prefixes the others use.
+ * @param {number} numForks - The number of forks.
+ * @return {Array<Object>} The { first, count } range of each fork, indexed by forkId.
+ * @throws {Error} If serverPrefix is not a byte or there are more forks than extraNonce1 values.
+ */
+function getExtraNonceRanges(numForks) {
+    const serverPrefix = config.clustering && config.clustering.serverPrefix;
+    const hasPrefix = typeof serverPrefix !== 'undefined' && serverPrefix !== null;
+    if (hasPrefix && !(Number.isInteger(serverPrefix) && serverPrefix >= 0 && serverPrefix < SERVER_PREFIXES)) {
+        throw new Error(`clustering.serverPrefix must be an integer from 0 to ${SERVER_PREFIXES - 1}, not ${serverPrefix}`);
+    }
+    const serverSpace = hasPrefix ? EXTRANONCE1_SPACE / SERVER_PREFIXES : EXTRANONCE1_SPACE;
+    const serverStart = hasPrefix ? serverPrefix * serverSpace : 0;
+    const forkSpace = Math.floor(serverSpace / numForks);
+    if (forkSpace < 1) {
+        throw new Error(`${numForks} forks can't each get their own extraNonce1`);
+    }
+    return Array.from({ length: numForks }, (_, forkId) => ({ first: serverStart + forkId * forkSpace, count: forkSpace }));
+}
+
+/**
+ * Checks that every fork has its own extraNonce1 range inside the 4-byte space, with room for every miner the fork
+ * can have at once, so no two miners are ever given the same extraNonce1.
+ * @param {Array<Object>} ranges - The { first, count } range of each fork.
+ * @param {number} minersPerFork - The most miners a fork can have at once.
+ * @throws {Error} If two ranges overlap or a range is too small.
+ */
+function checkExtraNonceRanges(ranges, minersPerFork) {
+    const sorted = ranges.map((range, forkId) => ({ forkId, ...range })).sort((a, b) => a.first - b.first);
+    sorted.forEach((range, i) => {
+        if (range.first < 0 || range.first + range.count > EXTRANONCE1_SPACE) {
+            throw new Error(`fork ${range.forkId} has an extraNonce1 range ${JSON.stringify(range)} outside the 4-byte space`);
+        }
+        if (range.count < minersPerFork) {
+            throw new Error(`fork ${range.forkId} has ${range.count} extraNonce1 values for up to ${minersPerFork} miners; use fewer forks, leave out clustering.serverPrefix or lower connectionLimits.maxConnections`);
+        }
+        const previous = sorted[i - 1];
+        if (previous && previous.first + previous.count > range.first) {
+            throw new Error(`extraNonce1 ranges of forks ${previous.forkId} and ${range.forkId} overlap`);
+        }
+    });
+}
+
+/**
+ * Checks the stratum port settings that can't work together.
+ * A PROXY header comes in cleartext before the TLS handshake, but TLS ports only see the decrypted stream,
+ * so tcpProxyProtocol can't be used on a tls port.
+ * @param {Object} ports - The ports config.
+ * @throws {Error} If a port can't be served as configured.
+ */
+function checkPortConfigs(ports) {
+    Object.keys(ports).forEach(port => {
+        if (ports[port].tls && (ports[port].tcpProxyProtocol === true || config.tcpProxyProtocol === true)) {
+            throw new Error(`port ${port} can't use both tls and tcpProxyProtocol; terminate TLS at the proxy instead`);
+        }
+    });
+}
+
+/**
+ * Splits the pool-wide connection limits between the forks. Each fork counts only its own connections,
+ * and new connections are spread evenly over the forks, so each gets its share of every count.
+ * @param {number} numForks - The number of forks.
+ * @return {Object} The connectionLimits each fork applies.
+ */
+function getForkConnectionLimits(numForks) {
+    const limits = { ...(config.connectionLimits || {}) };
+    ['maxConnections', 'maxConnectionsPerIp', 'maxNewConnectionsPerIp'].forEach(limit => {
+        if (limits[limit] > 0) {
+            limits[limit] = Math.ceil(limits[limit] / numForks);
+        }
     });
+    return limits;
 }
 
 /**
@@ -107,6 +206,7 @@ function createPoolWorker(forkId, poolWorkers) {
  * If clustering is disabled or not configured, defaults to a single fork.
  * If clustering is set to 'auto', uses the number of CPU cores.
  * Otherwise, uses the specified number of forks.
+ * Each fork gets its own extraNonce1 range, and the pool refuses to start if the ranges overlap or are too small.
  * Spawns the workers at intervals to avoid overwhelming the system.
  */
 function spawnPoolWorkers() {
@@ -115,15 +215,30 @@ function spawnPoolWorkers() {
         if (!config.clustering || !config.clustering.enabled) { return 1; }
         if (config.clustering.forks === 'auto') { return os.cpus().length; }
         if (!config.clustering.forks || isNaN(config.clustering.forks)) { return 1; }
-        return config.clustering.forks;
+        return parseInt(config.clustering.forks);
     })();
 
+    const connectionLimits = getForkConnectionLimits(numForks);
+    let extraNonceRanges;
+    try {
+        checkPortConfigs(config.ports || {});
+        extraNonceRanges = getExtraNonceRanges(numForks);
+        checkExtraNonceRanges(extraNonceRanges, connectionLimits.maxConnections > 0 ? connectionLimits.maxConnections : DEFAULT_MINERS_PER_FORK);
+    } catch (e) {
+        logging(' Init ', 'error', `Refusing to start: ${e.message}`);
+        process.exit(1);
+    }
+
     const poolWorkers = {};
     let i = 0;
 
     // Spawn workers at intervals
     const spawnInterval = setInterval(() => {
-        createPoolWorker(i, poolWorkers);
+        if (shuttingDown) {
+            clearInterval(spawnInterval);
+            return;
+        }
+        createPoolWorker(i, poolWorkers, extraNonceRanges[i], connectionLimits);
         i++;
         if (i === numForks) {
             clearInterval(spawnInterval);
@@ -164,6 +279,34 @@ function startListeners() {
                     });
                     reply('Pool notified');
                     break;
+                case 'reconnect':
+                    sendToPoolWorkers({ type: 'reconnect', ...reconnectTarget(params) });
+                    reply('Miners asked to reconnect');
+                    break;
+                case 'shutdown':
+                    shutdownPool(reconnectTarget(params));
+                    reply('Draining miners and shutting down');
+                    break;
+                case 'bans':
+                    reply(listBans());
+                    break;
+                case 'ban': {
+                    if (!params[0]) {
+                        reply('usage: ban <ip> [seconds]');
+                        break;
+                    }
+                    const seconds = parseInt(params[1]) || (config.banning && config.banning.time) || DEFAULT_BAN_TIME;
+                    banIP(params[0], Date.now() + seconds * 1000);
+                    reply(`Banned ${params[0]} for ${seconds} seconds`);
+                    break;
+                }
+                case 'unban':
+                    if (!params[0]) {
+                        reply('usage: unban <ip>');
+                        break;
+                    }
+                    reply(unbanIP(params[0]) ? `Unbanned ${params[0]}` : `${params[0]} is not banned`);
+                    break;
                 default:
                     reply(`unrecognized command \"${command}\"`);
                     break;
@@ -183,7 +326,9 @@ function startListeners() {
             workerType: 'website',
             config: JSON.stringify(config)
         });
+        worker.type = 'website';
         worker.on('exit', (code, signal) => {
+            if (shuttingDown) { return; }
             logging('Website', 'error', 'Website process died, spawning replacement...');
             setTimeout(() => {
                 startWebsite(config);
@@ -195,6 +340,108 @@ function startListeners() {
     startWebsite();
 }
 
+/**
+ * Sends a message to every pool cluster worker.
+ * @param {Object} message - The message to send.
+ */
+function sendToPoolWorkers(message) {
+    Object.keys(cluster.workers).forEach(id => {
+        if (cluster.workers[id].type === 'pool') {
+            cluster.workers[id].send(message);
+        }
+    });
+}
+
+/**
+ * Records a ban and applies it on every pool fork, so a banned miner can't reconnect through another fork.
+ * @param {string} ip - The IP to ban.
+ * @param {number} until - When the ban ends, in milliseconds since the epoch.
+ */
+function banIP(ip, until) {
+    ip = normalizeAddress(ip);
+    bannedIPs[ip] = until;
+    sendToPoolWorkers({ type: 'ban', ip, until });
+}
+
+/**
+ * Lifts a ban on every pool fork.
+ * @param {string} ip - The IP to unban.
+ * @return {boolean} True if the IP was banned.
+ */
+function unbanIP(ip) {
+    ip = normalizeAddress(ip);
+    const wasBanned = bannedIPs[ip] > Date.now();
+    delete bannedIPs[ip];
+    sendToPoolWorkers({ type: 'unban', ip });
+    return wasBanned;
+}
+
+/**
+ * Lists the current bans, forgetting expired ones.
+ * @return {string} One line per banned IP with the seconds left on its ban.
+ */
+function listBans() {
+    const now = Date.now();
+    Object.keys(bannedIPs).forEach(ip => {
+        if (bannedIPs[ip] <= now) { delete bannedIPs[ip]; }
+    });
+    const ips = Object.keys(bannedIPs);
+    if (ips.length === 0) { return 'No banned IPs'; }
+    return ips.map(ip => `${ip}\t${Math.ceil((bannedIPs[ip] - now) / 1000)} seconds left`).join('\n');
+}
+
+/**
+ * Builds a client.reconnect target from CLI parameters: [host] [port] [wait].
+ * @param {Array} params - The CLI parameters.
+ * @return {Object} The reconnect target; an empty target makes miners reconnect to this host.
+ */
+function reconnectTarget(params = []) {
+    return {
+        host: params[0],
+        port: params[1] ? parseInt(params[1]) : undefined,
+        wait: params[2] ? parseInt(params[2]) : undefined
+    };
+}
+
+/**
+ * Gracefully shuts the pool down.
+ * Pool workers stop accepting miners, ask connected miners to reconnect and exit once drained;
+ * the main process exits when every worker is gone instead of respawning them.
+ * @param {Object} target - The reconnect target sent to miners.
+ */
+function shutdownPool(target) {
+    if (shuttingDown) { return; }
+    shuttingDown = true;
+    logging(' Init ', 'warning', 'Draining miners and shutting down...');
+    const allWorkersGone = () => Object.values(cluster.workers).every(worker => worker.isDead());
+    cluster.on('exit', () => {
+        if (allWorkersGone()) { process.exit(0); }
+    });
+    Object.keys(cluster.workers).forEach(id => {
+        if (cluster.workers[id].type === 'pool') {
+            cluster.workers[id].send({ type: 'shutdown', ...target });
+        } else {
+            cluster.workers[id].kill();
+        }
+    });
+    if (allWorkersGone()) { process.exit(0); }
+}
+
+/**
+ * Sets up process signal handlers for the master process.
+ * SIGHUP asks every pool worker to reload the certificates of its TLS stratum ports.
+ * SIGTERM drains miners and shuts the pool down gracefully.
+ */
+function setupSignalHandlers() {
+    process.on('SIGHUP', () => {
+        logging(' Init ', 'debug', 'SIGHUP received, reloading TLS certificates');
+        sendToPoolWorkers({ type: 'reloadTls' });
+    });
+    process.on('SIGTERM', () => {
+        shutdownPool({});
+    });
+}
+
 /**
  * Checks if the current process is a cluster worker and initializes the appropriate worker type.
  * If the process is a cluster worker, it initializes either a PoolWorker or a Website worker based on the environment variable `workerType`.
@@ -220,6 +467,7 @@ if (cluster.isWorker) {
  */
 (function init() {
     createEmptyLogs();
+    setupSignalHandlers();
     spawnPoolWorkers();
     startListeners();
 })();
@@ -2,7 +2,10 @@
 const algos = {
     komodo: {
         diff1: parseInt('0x0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f', 16), // The highest possible target for Komodo
-        mindiff: parseInt('0x200f0f0f', 16) // The minimum difficulty for Komodo
+        mindiff: parseInt('0x200f0f0f', 16), // The minimum difficulty for Komodo
+        n: 200, // Equihash n parameter
+        k: 9, // Equihash k parameter
+        personalization: 'ZcashPoW' // Equihash BLAKE2b personalization prefix
     },
     zcash: {
         diff1: parseInt('0x0007ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff', 16), // The highest possible target for Zcash
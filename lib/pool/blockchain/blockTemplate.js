@@ -11,10 +11,18 @@ const bitcoin = require('bitgo-utxo-lib');
 const util = require('@helpers/util.js');
 const logging = require('@middlewares/logging.js');
 const algos = require('@blockchain/algoProperties.js'); // Ensure algos is required
+const { ccScript1of2 } = require('@blockchain/cryptoConditions.js');
 
 // Public members
 let txHash; // Variable to store the current transaction hash
 
+// Consensus limit on the size of a coinbase scriptSig
+const MAX_SCRIPTSIG_SIZE = 100;
+
+// Marmara's CC eval code, and the module's global pubkey that activated coins are locked to along with the miner's
+const EVAL_MARMARA = 0xef;
+const MARMARA_PUBKEY = '03afc5be570d0ff419425cfcc580cc762ab82baad88c148f5b028d7db7bfeee61d';
+
 /**
  * Double hashes the input data.
  * @param {Buffer} data - The data to be double hashed.
@@ -25,6 +33,47 @@ const doubleHash = (data) => {
     return crypto.createHash('sha256').update(hash1).digest();
 };
 
+/**
+ * Hashes transaction hashes pairwise up to their merkle root.
+ * @param {Array<Buffer>} hashes - The transaction hashes in internal byte order, coinbase first.
+ * @returns {Buffer} The merkle root in internal byte order.
+ */
+const merkleRootOf = (hashes) => {
+    while (hashes.length > 1) {
+        // If the number of hashes is odd, duplicate the last hash
+        if (hashes.length % 2 !== 0) {
+            hashes = hashes.concat([hashes[hashes.length - 1]]);
+        }
+        const newHashes = [];
+        // Concatenate each pair of hashes, double hash the result, and add to the new list of hashes
+        for (let i = 0; i < hashes.length; i += 2) {
+            newHashes.push(doubleHash(Buffer.concat([hashes[i], hashes[i + 1]])));
+        }
+        hashes = newHashes;
+    }
+    return hashes[0];
+};
+
+/**
+ * Reads a compact size integer.
+ * @param {Buffer} buffer - The buffer to read from.
+ * @param {number} offset - Where the integer starts.
+ * @returns {Object} { value, size } with the size of the integer in bytes.
+ */
+const readVarInt = (buffer, offset) => {
+    const first = buffer[offset];
+    if (first < 0xfd) {
+        return { value: first, size: 1 };
+    }
+    if (first === 0xfd) {
+        return { value: buffer.readUInt16LE(offset + 1), size: 3 };
+    }
+    if (first === 0xfe) {
+        return { value: buffer.readUInt32LE(offset + 1), size: 5 };
+    }
+    return { value: Number(buffer.readBigUInt64LE(offset + 1)), size: 9 };
+};
+
 /**
  * Calculates the total fees from an array of fee objects.
  * @param {Array<Object>} feeArray - The array of fee objects.
@@ -42,6 +91,59 @@ const getFees = (feeArray) => {
  */
 const getTxHash = () => txHash;
 
+/**
+ * Works out the founders/dev-fund outputs the coin's constants require at a block height.
+ * Each schedule period pays one address at a time, rotating through its addresses evenly over the period.
+ * @param {number} blockHeight - The height of the block.
+ * @param {number} blockSubsidy - The block subsidy in satoshis, without fees.
+ * @param {Array<Object>} [founders] - The coin's founders schedule.
+ * @param {number} founders[].startHeight - The first height of the period.
+ * @param {number} [founders[].endHeight] - The last height of the period; the period never ends if omitted.
+ * @param {Array<string>} founders[].addresses - The addresses paid during the period.
+ * @param {number} [founders[].percent] - The share of the subsidy paid, in percent.
+ * @param {number} [founders[].amount] - The fixed amount paid, in coins; takes precedence over percent.
+ * @param {string} [founders[].type='p2sh'] - The address type: 'p2sh' or 'p2pkh'.
+ * @returns {Array<Object>} The outputs as { address, script, amount } with the amount in satoshis.
+ */
+const getFoundersOutputs = (blockHeight, blockSubsidy, founders = []) => founders
+    .filter(period => blockHeight >= period.startHeight && (typeof period.endHeight === 'undefined' || blockHeight <= period.endHeight))
+    .map(period => {
+        const interval = typeof period.endHeight === 'undefined' ? Infinity : Math.ceil((period.endHeight - period.startHeight + 1) / period.addresses.length);
+        const address = period.addresses[Math.min(Math.floor((blockHeight - period.startHeight) / interval), period.addresses.length - 1)];
+        const addressHash = bitcoin.address.fromBase58Check(address).hash;
+        return {
+            address: address,
+            script: period.type === 'p2pkh' ? util.scriptCompile(addressHash) : util.scriptFoundersCompile(addressHash),
+            amount: typeof period.amount !== 'undefined' ? Math.round(period.amount * 100000000) : Math.floor(blockSubsidy * period.percent / 100)
+        };
+    });
+
+/**
+ * Checks that a Marmara (MCL) coinbase from the daemon pays the configured pubkey.
+ * On even heights Marmara requires the reward as a CryptoCondition output locked to the miner's pubkey plus an
+ * opreturn naming that pubkey; the daemon builds both for its -pubkey, which must be the pool's pubkey.
+ * The CC output's script must start with the 1-of-2 condition of Marmara's global pubkey and ours.
+ * @param {number} blockHeight - The height of the block.
+ * @param {string} pubkey - The pool's public key in hex format.
+ * @param {Array<Object>} vouts - The daemon's coinbase outputs.
+ * @throws {Error} If the CC output or its opreturn is missing, or either is for another pubkey.
+ */
+const checkMarmaraCoinbase = (blockHeight, pubkey, vouts) => {
+    if (blockHeight % 2 !== 0) {
+        return;
+    }
+    const ccOutput = vouts.find(vout => vout.scriptPubKey.type === 'cryptocondition');
+    const opreturn = vouts.find(vout => vout.scriptPubKey.type === 'nulldata');
+    if (!ccOutput || !opreturn) {
+        throw new Error(`Marmara coinbase for height ${blockHeight} has no CC output and opreturn; is the daemon running with -ac_marmara?`);
+    }
+    const ccScript = ccScript1of2(EVAL_MARMARA, MARMARA_PUBKEY, pubkey).toString('hex');
+    if (!ccOutput.scriptPubKey.hex.toLowerCase().startsWith(ccScript) ||
+        !opreturn.scriptPubKey.hex.toLowerCase().includes(pubkey.toLowerCase())) {
+        throw new Error(`Marmara coinbase for height ${blockHeight} is not for pubkey ${pubkey}; start the daemon with -pubkey=${pubkey}`);
+    }
+};
+
 /**
  * Creates a generation transaction.
  * @param {number} blockHeight - The height of the block.
@@ -50,9 +152,18 @@ const getTxHash = () => txHash;
  * @param {Object} coin - The coin object.
  * @param {string} pubkey - The public key.
  * @param {Array<Object>} vouts - The array of output objects.
+ * @param {Object} [extras] - Coin-specific coinbase requirements.
+ * @param {Array<Object>} [extras.foundersOutputs] - The founders outputs from getFoundersOutputs, paid right after the pool output.
+ * @param {boolean} [extras.marmara] - Keep the daemon's Marmara (MCL) CryptoCondition output and its opreturn.
+ * @param {Array<Object>} [extras.rewardRecipients] - Recipients ({ script, percent }) paid a share of the pool output;
+ *     the pool address keeps the remainder, including rounding.
+ * @param {Buffer} [extras.payoutScript] - The script the pool output pays instead of the pool address or pubkey.
+ * @param {string} [extras.coinbaseTag] - Text appended to the coinbase scriptSig, cut to fit MAX_SCRIPTSIG_SIZE.
  * @returns {string} The hex representation of the transaction.
+ * @throws {Error} If the founders outputs are more than the pool output can pay, or a Marmara coinbase isn't for our pubkey.
  */
-const createGeneration = (blockHeight, blockReward, poolAddress, coin, pubkey, vouts) => {
+const createGeneration = (blockHeight, blockReward, poolAddress, coin, pubkey, vouts, extras = {}) => {
+    const foundersOutputs = extras.foundersOutputs || [];
     const network = bitcoin.networks[coin.symbol]; // Get the network for the coin
     const txb = new bitcoin.TransactionBuilder(network); // Create a new transaction builder
     txb.setVersion(bitcoin.Transaction.ZCASH_SAPLING_VERSION); // Set the transaction version
@@ -74,17 +185,47 @@ const createGeneration = (blockHeight, blockReward, poolAddress, coin, pubkey, v
         Buffer.from('00', 'hex') // OP_0
     ]);
 
+    // Append the pool/worker tag in whatever room the height leaves in the scriptSig
+    const scriptSig = Buffer.concat([serializedBlockHeight, Buffer.from(util.toHexy(blockHeight.toString()), 'hex')]);
+    const coinbaseTag = Buffer.from(extras.coinbaseTag || '', 'ascii').subarray(0, Math.max(0, MAX_SCRIPTSIG_SIZE - scriptSig.length));
+
     // Add the coinbase input to the transaction builder
     txb.addInput(Buffer.from('0000000000000000000000000000000000000000000000000000000000000000', 'hex'),
         4294967295, // Index of the coinbase input
         4294967295, // Sequence number
-        Buffer.concat([serializedBlockHeight, Buffer.from(util.toHexy(blockHeight.toString()), 'hex')])
+        Buffer.concat([scriptSig, coinbaseTag])
     );
 
+    // Founders outputs the daemon already left out of its pool output are paid out of ours
+    const foundersAddresses = foundersOutputs.map(output => output.address);
+    const voutAddress = vout => vout.scriptPubKey.addresses ? vout.scriptPubKey.addresses[0] : null;
+    const foundersToDeduct = foundersOutputs
+        .filter(output => !vouts.some(vout => voutAddress(vout) === output.address))
+        .reduce((total, output) => total + output.amount, 0);
+
+    // Marmara's activated-coins output can only be spent by the pubkey named in the coinbase opreturn
+    if (extras.marmara) {
+        checkMarmaraCoinbase(blockHeight, pubkey, vouts);
+    }
+
     // Loop through each output (vout) and add it to the transaction builder
     vouts.forEach((vout, i) => {
-        const amt = Number(vout.valueZat); // Convert the value to a number
-        if (amt === 0) return; // Skip adding the output if the amount is 0
+        let amt = Number(vout.valueZat); // Convert the value to a number
+        const isMarmaraOutput = extras.marmara && (vout.scriptPubKey.type === 'cryptocondition' || vout.scriptPubKey.type === 'nulldata');
+        if (amt === 0 && !isMarmaraOutput) return; // Skip adding the output if the amount is 0
+        if (i !== 0 && foundersAddresses.includes(voutAddress(vout))) return; // Founders outputs are added with their own scripts below
+        let recipientOutputs = [];
+        if (i === 0) {
+            amt -= foundersToDeduct;
+            if (amt <= 0) {
+                throw new Error(`founders outputs of ${foundersToDeduct} exceed the pool output of ${vout.valueZat} at height ${blockHeight}`);
+            }
+            recipientOutputs = (extras.rewardRecipients || []).map(recipient => ({
+                script: recipient.script,
+                amount: Math.floor(amt * recipient.percent / 100)
+            }));
+            amt -= recipientOutputs.reduce((total, output) => total + output.amount, 0);
+        }
 
         const scriptPubKey = vout.scriptPubKey;
         const isFirstOutput = i === 0; // Check if this is the first output
@@ -92,7 +233,13 @@ const createGeneration = (blockHeight, blockReward, poolAddress, coin, pubkey, v
         const scriptPubKeyHash = scriptPubKey.addresses ? bitcoin.address.fromBase58Check(scriptPubKey.addresses[0]).hash : null; // Get the hash of the scriptPubKey address
 
         let outputScript;
-        switch (scriptPubKey.type) {
+        switch (isMarmaraOutput ? 'marmara' : (isFirstOutput && extras.payoutScript ? 'payout' : scriptPubKey.type)) {
+            case 'payout':
+                outputScript = extras.payoutScript; // Per-worker payout address
+                break;
+            case 'marmara':
+                outputScript = Buffer.from(scriptPubKey.hex, 'hex'); // Keep the daemon's CC output and opreturn as they are
+                break;
             case 'pubkey':
                 outputScript = util.scriptCompileP2PK(isFirstOutput ? pubkey : scriptPubKey.asm.split(' ', 1)); // Compile the script for a public key
                 break;
@@ -107,6 +254,10 @@ const createGeneration = (blockHeight, blockReward, poolAddress, coin, pubkey, v
                 break;
         }
         txb.addOutput(outputScript, amt); // Add the output to the transaction builder
+        if (i === 0) {
+            recipientOutputs.forEach(output => { if (output.amount > 0) txb.addOutput(output.script, output.amount); });
+            foundersOutputs.forEach(output => txb.addOutput(output.script, output.amount));
+        }
     });
 
     const transaction = txb.build(); // Build the transaction
@@ -124,8 +275,12 @@ const createGeneration = (blockHeight, blockReward, poolAddress, coin, pubkey, v
  * @param {string} poolAddress - The pool address.
  * @param {string} coin - The coin name.
  * @param {string} pubkey - The public key.
+ * @param {Array<Object>} [rewardRecipients] - The validated rewardRecipients that share the pool output.
+ * @param {Object} [variant] - What sets a worker's variant of the job apart (see JobManager.getWorkerJob).
+ * @param {Buffer} [variant.payoutScript] - The output script of the worker's payout address, which replaces the pool address.
+ * @param {string} [variant.workerTag] - The worker's coinbase tag, appended after the pool's coinbaseTag.
  */
-const BlockTemplate = module.exports = function BlockTemplate(jobId, rpcData, extraNoncePlaceholder, reward, poolAddress, coin, pubkey) {
+const BlockTemplate = module.exports = function BlockTemplate(jobId, rpcData, extraNoncePlaceholder, reward, poolAddress, coin, pubkey, rewardRecipients, variant = {}) {
     // Logging functions
     const doLog = (severity, text, forkId = "0") => logging("Blocks", severity, text, forkId);
     const emitGrayLog = (text) => doLog('gray', text);
@@ -140,11 +295,14 @@ const BlockTemplate = module.exports = function BlockTemplate(jobId, rpcData, ex
     coin = config.coin.name;
 
     // Private members
-    const submits = []; // Array to store submitted block headers
+    const submits = new Set(); // Hashes of the verified submissions (nTime + nonce + solution) already made for this job
 
     // Public members
-    this.rpcData = rpcData; // RPC data for the block
+    // RPC data for the block; a copy, as its coinbasetxn is replaced with ours and the caller's template
+    // can be made into a job again (the daemon's coinbasetxn.hash must stay in RPC byte order for that)
+    this.rpcData = { ...rpcData, coinbasetxn: { ...rpcData.coinbasetxn } };
     this.jobId = jobId; // Job ID
+    this.createdAt = Date.now(); // When the job was created, for job history eviction
 
     // Get target info
     this.target = bignum(rpcData.target, 16); // Target difficulty
@@ -156,11 +314,27 @@ const BlockTemplate = module.exports = function BlockTemplate(jobId, rpcData, ex
     const fees = rpcData.transactions.map(value => value); // Extract fees from transactions
 
     this.rewardFees = getFees(fees); // Calculate total fees
-    rpcData.rewardFees = this.rewardFees; // Store total fees in RPC data
+    this.rpcData.rewardFees = this.rewardFees; // Store total fees in RPC data
+
+    // Founders/dev-fund outputs required by the coin's constants at this height
+    const foundersOutputs = getFoundersOutputs(rpcData.height, Math.round(blockReward) - this.rewardFees, config.coin.founders);
+
+    // A shielded coinbase is used as the daemon built it, since its Sapling output can't be made here
+    if (config.coin.shieldedCoinbase === true || config.shieldedAddress) {
+        this.genTx = rpcData.coinbasetxn.data;
+        this.genTxHash = util.reverseHex(rpcData.coinbasetxn.hash); // getblocktemplate gives the txid in RPC byte order
+        this.usesDaemonCoinbase = true;
+    }
 
     // Create the generation transaction if it doesn't exist
     if (typeof this.genTx === 'undefined') {
-        this.genTx = createGeneration(rpcData.height, blockReward, poolAddress, coin, pubkey, this.rpcData.vouts).toString('hex');
+        this.genTx = createGeneration(rpcData.height, blockReward, poolAddress, coin, pubkey, this.rpcData.vouts, {
+            foundersOutputs: foundersOutputs,
+            marmara: config.coin.marmara === true,
+            rewardRecipients: rewardRecipients,
+            payoutScript: variant.payoutScript,
+            coinbaseTag: `${config.coinbaseTag || ''}${variant.workerTag || ''}`
+        }).toString('hex');
         this.genTxHash = getTxHash(); // Store the transaction hash
     }
 
@@ -170,8 +344,7 @@ const BlockTemplate = module.exports = function BlockTemplate(jobId, rpcData, ex
         hash: this.genTxHash
     };
 
-    // Ensure coinbasetxn exists in rpcData and assign the custom coinbase transaction data and hash
-    this.rpcData.coinbasetxn = this.rpcData.coinbasetxn || {};
+    // Assign the custom coinbase transaction data and hash
     this.rpcData.coinbasetxn.data = customCoinbaseTx.data;
     this.rpcData.coinbasetxn.hash = customCoinbaseTx.hash;
 
@@ -187,18 +360,39 @@ const BlockTemplate = module.exports = function BlockTemplate(jobId, rpcData, ex
     this.serializeBlock = (header, soln) => this.generateSerializedBlock(header, soln);
 
     /**
-     * Submit the block header.
-     * @param {Buffer} header - The block header.
-     * @param {Buffer} soln - The solution.
-     * @returns {boolean} True if the submission is registered, false otherwise.
+     * Gets the key a submission is known by in submits: a hash, so the Set doesn't hold whole solutions.
+     * @param {string} nTime - The nTime of the submission.
+     * @param {string} nonce - The nonce of the submission.
+     * @param {string} soln - The solution of the submission.
+     * @returns {string} The key.
+     */
+    const submitKey = (nTime, nonce, soln) => crypto.createHash('sha256').update((nTime + nonce + soln).toLowerCase()).digest('base64');
+
+    /**
+     * Checks whether a submission was already registered, without registering it.
+     * @param {string} nTime - The nTime of the submission.
+     * @param {string} nonce - The nonce of the submission.
+     * @param {string} soln - The solution of the submission.
+     * @returns {boolean} True if the submission is a duplicate.
      */
-    this.registerSubmit = (header, soln) => {
-        const submission = (header + soln).toLowerCase();
-        if (!submits.includes(submission)) {
-            submits.push(submission);
-            return true;
+    this.isSubmitted = (nTime, nonce, soln) => submits.has(submitKey(nTime, nonce, soln));
+
+    /**
+     * Register a submission so the same solution can't be credited twice. Only submissions whose
+     * solution verified are registered, so invalid ones can't fill the job's memory.
+     * A nonce often has more than one Equihash solution, so each of them counts as its own share.
+     * @param {string} nTime - The nTime of the submission.
+     * @param {string} nonce - The nonce of the submission.
+     * @param {string} soln - The solution of the submission.
+     * @returns {boolean} True if the submission is registered, false if it is a duplicate.
+     */
+    this.registerSubmit = (nTime, nonce, soln) => {
+        const submission = submitKey(nTime, nonce, soln);
+        if (submits.has(submission)) {
+            return false;
         }
-        return false;
+        submits.add(submission);
+        return true;
     };
 
     /**
@@ -258,33 +452,14 @@ BlockTemplate.prototype.generateMerkleRoot = function () {
             return util.reverseHex(cBase.hash.toString('hex'));
         }
 
-        // Initialize the list of hashes with the coinbase transaction hash
-        let hashes = [Buffer.from(cBase.hash, 'hex')];
-
-        // Convert each transaction hash to a buffer and add to the list of hashes
+        // The coinbase transaction hash, then each transaction hash as a buffer
+        const hashes = [Buffer.from(cBase.hash, 'hex')];
         transactions.forEach(tx => {
             hashes.push(Buffer.from(util.reverseHex(tx.hash), 'hex'));
         });
 
-        // Combine hashes pairwise until only one hash remains
-        while (hashes.length > 1) {
-            // If the number of hashes is odd, duplicate the last hash
-            if (hashes.length % 2 !== 0) {
-                hashes.push(hashes[hashes.length - 1]);
-            }
-
-            const newHashes = [];
-            // Concatenate each pair of hashes, double hash the result, and add to the new list of hashes
-            for (let i = 0; i < hashes.length; i += 2) {
-                const concatenated = Buffer.concat([hashes[i], hashes[i + 1]]);
-                const doubleHashed = doubleHash(concatenated);
-                newHashes.push(doubleHashed);
-            }
-            hashes = newHashes;
-        }
-
         // Return the final hash in reversed hex format
-        return util.reverseHex(hashes[0].toString('hex'));
+        return util.reverseHex(merkleRootOf(hashes).toString('hex'));
     };
 
     // Generate the merkle root from the transactions and the coinbase transaction
@@ -322,31 +497,43 @@ BlockTemplate.prototype.generateBlockHeader = function (nTime, nonce) {
  * @returns {Buffer} The serialized block.
  */
 BlockTemplate.prototype.generateSerializedBlock = function (header, soln) {
-    let varInt;
-    let txCount = this.txCount.toString(16);
-    if (Math.abs(txCount.length % 2) === 1) {
-        txCount = `0${txCount}`;
-    }
-
-    // Determine the variable integer format based on the transaction count
-    if (this.txCount <= 0x7f) {
-        varInt = Buffer.from(txCount, 'hex');
-    } else if (this.txCount <= 0x7fff) {
-        varInt = Buffer.concat([Buffer.from('FD', 'hex'), Buffer.from(txCount, 'hex')]);
-    }
-    let buf = Buffer.concat([
+    return Buffer.concat([
         header,
         soln,
-        varInt,
-        Buffer.from(this.genTx, 'hex')
+        util.varIntBuffer(this.txCount), // Compact size transaction count, coinbase included
+        Buffer.from(this.genTx, 'hex'),
+        ...this.rpcData.transactions.map(tx => Buffer.from(tx.data, 'hex'))
     ]);
+};
 
-    // Append each transaction to the buffer
-    if (this.txCount > 1) {
-        this.rpcData.transactions.forEach((value) => {
-            const tmpBuf = Buffer.concat([buf, Buffer.from(value.data, 'hex')]);
-            buf = tmpBuf;
-        });
+/**
+ * Checks a serialized block the way the daemon will read it: the transaction count must be right, the transactions
+ * must follow it in order and their hashes must add up to the merkle root in the header.
+ * @param {Buffer} block - The serialized block.
+ * @param {number} headerLength - The length of the header and solution at the start of the block.
+ * @returns {string|null} What is wrong with the block, or null if nothing is.
+ */
+BlockTemplate.prototype.checkSerializedBlock = function (block, headerLength) {
+    const transactions = [this.genTx, ...this.rpcData.transactions.map(tx => tx.data)].map(hex => Buffer.from(hex, 'hex'));
+    const txCount = readVarInt(block, headerLength);
+    if (txCount.value !== transactions.length) {
+        return `it counts ${txCount.value} transactions instead of ${transactions.length}`;
+    }
+    let position = headerLength + txCount.size;
+    const hashes = [];
+    for (let i = 0; i < transactions.length; i++) {
+        const tx = block.subarray(position, position + transactions[i].length);
+        if (!tx.equals(transactions[i])) {
+            return `transaction ${i} is not where the count says it is`;
+        }
+        hashes.push(doubleHash(tx));
+        position += tx.length;
+    }
+    if (position !== block.length) {
+        return `it has ${block.length - position} bytes after its last transaction`;
+    }
+    if (!merkleRootOf(hashes).equals(block.subarray(36, 68))) {
+        return 'its transactions don\'t hash to the merkle root in its header';
     }
-    return buf;
+    return null;
 };
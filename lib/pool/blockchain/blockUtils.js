@@ -1,6 +1,18 @@
 const util = require('@helpers/util.js'); // Ensure helpers/util.js is required for reverseEndianness
+const { decodeExcludedAddresses, selectTransactions } = require('@blockchain/txSelection.js');
+const { decodesAddress, decodeCoinbaseOutputs, compareCoinbaseOutputs } = require('@blockchain/coinbaseOutputs.js');
 
 module.exports = (daemon, emitErrorLog, emitWarningLog, emitLog) => {
+    // The current chain tip and when it was first seen, for transactionSelection.emptyBlockSeconds; a tip that
+    // was already there when the pool started counts as old, as its age isn't known
+    const tip = { hash: null, seenAt: 0, refreshScheduled: false };
+    // Whether the coinbase could not be decoded locally, so that is only logged once
+    let localDecodeFailed = false;
+    // Whether the startup check found local decoding reads addresses differently from the daemon
+    let localDecodeDisabled = false;
+    // Verbose block headers by hash, in the order fetched, so a new tip only needs its own header fetched
+    const headerCache = new Map();
+
     /**
      * Checks if a block has been accepted by the daemon.
      * @param {string} blockHash - The block hash string.
@@ -83,6 +95,7 @@ module.exports = (daemon, emitErrorLog, emitWarningLog, emitLog) => {
      * Sets up block polling with the specified options.
      * @param {Object} options - The options object.
      * @param {Function} GetBlockTemplate - The function to get the block template.
+     * @return {Object|undefined} The polling interval, if polling is enabled.
      */
     const SetupBlockPolling = (options, GetBlockTemplate) => {
         if (typeof options.blockRefreshInterval !== "number" || options.blockRefreshInterval <= 0) {
@@ -90,7 +103,7 @@ module.exports = (daemon, emitErrorLog, emitWarningLog, emitLog) => {
             return;
         }
         const pollingInterval = options.blockRefreshInterval;
-        setInterval(() => {
+        return setInterval(() => {
             GetBlockTemplate((error, result, foundNewBlock) => {
                 if (foundNewBlock) {
                     if (!process.env.forkId || process.env.forkId === '0') {
@@ -104,7 +117,7 @@ module.exports = (daemon, emitErrorLog, emitWarningLog, emitLog) => {
     /**
      * Submits a block to the daemon.
      * @param {string} blockHex - The block hex string.
-     * @param {Function} callback - The callback to execute when finished.
+     * @param {Function} callback - The callback to execute when finished, with true if every daemon accepted the submission.
      */
     const SubmitBlock = (blockHex, callback) => {
         daemon.cmd('submitblock', [blockHex], (results) => {
@@ -112,6 +125,7 @@ module.exports = (daemon, emitErrorLog, emitWarningLog, emitLog) => {
                 const nodeID = result.instance.index;
                 if (result.error) {
                     emitErrorLog(`rpc error with daemon instance ${nodeID} when submitting block: ${JSON.stringify(result.error)}`);
+                    callback(false);
                     return;
                 } else if (result.response !== null) {
                     let msgReason;
@@ -136,14 +150,80 @@ module.exports = (daemon, emitErrorLog, emitWarningLog, emitLog) => {
                             break;
                     }
                     emitErrorLog(`rpc error with daemon instance ${nodeID} when submitting block ${msgReason}`);
+                    callback(false);
                     return;
                 }
             }
             emitWarningLog('Successfully submitted block to daemon instance(s).');
-            callback();
+            callback(true);
+        });
+    };
+
+    /**
+     * Has the daemon check a block in getblocktemplate proposal mode, which doesn't check the solution.
+     * @param {string} blockHex - The block hex string.
+     * @param {Function} callback - Called with null if no daemon rejects the block, or with the reason one does.
+     *     Daemons that can't check proposals, or can't tell yet ('inconclusive'), don't reject it.
+     */
+    const ProposeBlock = (blockHex, callback) => {
+        daemon.cmd('getblocktemplate', [{ "mode": "proposal", "data": blockHex }], (results) => {
+            for (const result of results) {
+                if (result.error) {
+                    emitWarningLog(`Daemon instance ${result.instance.index} could not check a block proposal: ${JSON.stringify(result.error)}`);
+                } else if (result.response !== null && result.response !== 'inconclusive') {
+                    callback(result.response);
+                    return;
+                }
+            }
+            callback(null);
         });
     };
 
+    /**
+     * Gets the headers of a block and the blocks before it, following previousblockhash so a reorg
+     * can't mix in blocks of another branch.
+     * @param {string} blockHash - The hash of the newest block.
+     * @param {number} count - How many headers to get.
+     * @param {Function} callback - Called with an error, or with null and the verbose getblockheader results, oldest first.
+     */
+    const GetRecentHeaders = (blockHash, count, callback) => {
+        const headers = [];
+        const collect = (hash) => {
+            if (headers.length === count) {
+                callback(null, headers.reverse());
+                return;
+            }
+            if (!hash) {
+                callback(`the chain has fewer than ${count} blocks`);
+                return;
+            }
+            const cached = headerCache.get(hash);
+            if (cached) {
+                headers.push(cached);
+                collect(cached.previousblockhash);
+                return;
+            }
+            daemon.cmd('getblockheader', [hash], (results) => {
+                const found = results.find((result) => result.response && result.response.hash === hash);
+                if (!found) {
+                    callback(`could not get the header of ${hash}`);
+                    return;
+                }
+                headerCache.set(hash, found.response);
+                // A few blocks of slack for reorgs; older headers are dropped first
+                for (const oldHash of headerCache.keys()) {
+                    if (headerCache.size <= count * 2) {
+                        break;
+                    }
+                    headerCache.delete(oldHash);
+                }
+                headers.push(found.response);
+                collect(found.response.previousblockhash);
+            });
+        };
+        collect(blockHash);
+    };
+
     /**
      * Gets the block template and processes it.
      * @param {Object} jobManager - The job manager object.
@@ -152,26 +232,99 @@ module.exports = (daemon, emitErrorLog, emitWarningLog, emitLog) => {
      */
     const GetBlockTemplate = (jobManager, varDiff, callback) => {
         /**
-         * Decodes the raw transaction and processes the block template.
+         * Applies the transactionSelection policy to the template. Fees of left out transactions come off
+         * the coinbase value, so the coinbase never claims more than the block's transactions pay.
+         * While the tip is younger than emptyBlockSeconds the template is emptied, and a refresh with
+         * transactions is scheduled for when that time is up. Without a policy the template is left as it is.
+         * @param {Object} template - The block template.
+         * @return {number} The fees, in satoshis, of the transactions that were left out.
+         */
+        const applyTransactionSelection = (template) => {
+            const policy = jobManager.options.transactionSelection;
+            if (!policy) {
+                return 0;
+            }
+            const now = Date.now();
+            if (template.previousblockhash !== tip.hash) {
+                tip.seenAt = tip.hash === null ? 0 : now;
+                tip.hash = template.previousblockhash;
+                tip.refreshScheduled = false;
+            }
+            const emptyFor = (policy.emptyBlockSeconds || 0) * 1000 - (now - tip.seenAt);
+            const emptyBlock = emptyFor > 0;
+            if (emptyBlock && !tip.refreshScheduled) {
+                tip.refreshScheduled = true;
+                setTimeout(() => GetBlockTemplate(jobManager, varDiff, () => { }), emptyFor);
+            }
+            const selection = selectTransactions(template.transactions, policy, emptyBlock);
+            template.transactions = selection.transactions;
+            template.coinbasetxn.coinbasevalue -= selection.excludedFees;
+            return selection.excludedFees;
+        };
+
+        /**
+         * Processes the block template once the outputs of its coinbase are known.
+         * @param {Object} template - The block template.
+         * @param {Array<Object>} vouts - The coinbase outputs, as decoderawtransaction reports them.
+         * @param {number} excludedFees - The fees, in satoshis, of the transactions transactionSelection left out.
+         */
+        const processDecodedTemplate = async (template, vouts, excludedFees) => {
+            // The daemon only pays a shielded coinbase when it runs with -mineraddress
+            if (jobManager.options.shieldedAddress && vouts.some(vout => Number(vout.valueZat) > 0)) {
+                emitErrorLog(`The daemon's coinbase for block ${template.height} pays a transparent address; start the daemon with -mineraddress=${jobManager.options.shieldedAddress}`);
+                callback('transparent coinbase');
+                return;
+            }
+            template.vouts = vouts;
+            // The pool output carries the fees, so it gives up those of the left out transactions
+            if (excludedFees > 0) {
+                template.vouts[0].valueZat -= excludedFees;
+            }
+            const processedNewBlock = await jobManager.processTemplate(template);
+            callback(null, template, processedNewBlock);
+            callback = () => { };
+            if (processedNewBlock && varDiff) {
+                Object.keys(varDiff).forEach((port) => {
+                    varDiff[port].setNetworkDifficulty(jobManager.currentJob.difficulty);
+                });
+            }
+        };
+
+        /**
+         * Decodes the coinbase outputs of the template and processes it. The coinbase is decoded locally;
+         * the daemon's decoderawtransaction is only asked when that fails or verifyCoinbaseDecode is set,
+         * in which case the daemon's decode is used and any difference is logged.
          * @param {Object} template - The block template.
          */
         const getRawTransaction = (template) => {
+            const excludedFees = applyTransactionSelection(template);
             template.miner = (template.coinbasetxn.coinbasevalue / Math.pow(10, 8)).toFixed(8);
-            daemon.cmd('decoderawtransaction', [template.coinbasetxn.data], async (result) => {
+            let localVouts = null;
+            try {
+                localVouts = localDecodeDisabled ? null : decodeCoinbaseOutputs(template.coinbasetxn.data);
+            } catch (e) {
+                if (!localDecodeFailed) {
+                    emitWarningLog(`Could not decode the coinbase locally (${e.message}); using the daemon's decoderawtransaction`);
+                    localDecodeFailed = true;
+                }
+            }
+            if (localVouts && jobManager.options.verifyCoinbaseDecode !== true) {
+                processDecodedTemplate(template, localVouts, excludedFees);
+                return;
+            }
+            daemon.cmd('decoderawtransaction', [template.coinbasetxn.data], (result) => {
                 if (result.error) {
                     emitErrorLog(`decoderawtransaction call failed for daemon instance ${result.instance.index} with error ${JSON.stringify(result.error)}`);
                     callback(result.error);
-                } else {
-                    template.vouts = result.response.vout;
-                    const processedNewBlock = await jobManager.processTemplate(template);
-                    callback(null, template, processedNewBlock);
-                    callback = () => { };
-                    if (processedNewBlock && varDiff) {
-                        Object.keys(varDiff).forEach((port) => {
-                            varDiff[port].setNetworkDifficulty(jobManager.currentJob.difficulty);
-                        });
+                    return;
+                }
+                if (localVouts) {
+                    const differences = compareCoinbaseOutputs(localVouts, result.response.vout);
+                    if (differences.length > 0) {
+                        emitErrorLog(`Local coinbase decode for block ${template.height} differs from the daemon's: ${differences.join('; ')}`);
                     }
                 }
+                processDecodedTemplate(template, result.response.vout, excludedFees);
             }, true);
         };
 
@@ -195,6 +348,71 @@ module.exports = (daemon, emitErrorLog, emitWarningLog, emitLog) => {
         getBlockTemplateAndRawCoinbase();
     };
 
+    /**
+     * Checks the rewardRecipients config against the daemon's validateaddress results.
+     * @param {Object} options - The options object.
+     * @param {Array<Object>} recipients - The configured recipients, as { address, percent }.
+     * @param {Array<Object>} results - The validateaddress result for each recipient.
+     * @return {Array<Object>|null} The recipients with the output script the daemon reports for their address,
+     *     or null if the config can't be used.
+     */
+    const checkRewardRecipients = (options, recipients, results) => {
+        if (recipients.length > 0 && options.coin.marmara) {
+            emitErrorLog('Could not start pool, rewardRecipients can\'t be used with the Marmara (MCL) coinbase');
+            return null;
+        }
+        let totalPercent = 0;
+        for (let i = 0; i < recipients.length; i++) {
+            const recipient = recipients[i];
+            const result = results[i] || {};
+            if (result.error || !result.result || !result.result.isvalid) {
+                emitErrorLog(`Could not start pool, daemon reports reward recipient address ${recipient.address} is not valid`);
+                return null;
+            }
+            if (typeof recipient.percent !== 'number' || !(recipient.percent > 0)) {
+                emitErrorLog(`Could not start pool, reward recipient ${recipient.address} needs a percent above 0`);
+                return null;
+            }
+            totalPercent += recipient.percent;
+        }
+        if (totalPercent >= 100) {
+            emitErrorLog(`Could not start pool, rewardRecipients add up to ${totalPercent}%, leaving nothing for the pool address`);
+            return null;
+        }
+        return recipients.map((recipient, i) => ({
+            address: recipient.address,
+            percent: recipient.percent,
+            script: Buffer.from(results[i].result.scriptPubKey, 'hex')
+        }));
+    };
+
+    /**
+     * Checks the config of a chain that pays the coinbase to a shielded (Sapling) address. The pool can't make
+     * Sapling outputs, which need a zk-SNARK proof, so it uses the daemon's coinbase untouched; the daemon builds
+     * it for its -mineraddress, which should be the configured shieldedAddress.
+     * @param {Object} options - The options object.
+     * @param {Object} [result] - The z_validateaddress result for shieldedAddress.
+     * @return {boolean} True if the config can be used.
+     */
+    const checkShieldedCoinbase = (options, result) => {
+        if (!options.shieldedAddress) {
+            emitErrorLog(`Could not start pool, ${options.coin.name} only pays the coinbase to shielded addresses; set shieldedAddress to the Sapling address the daemon mines to (-mineraddress) instead of paying ${options.address}`);
+            return false;
+        }
+        if (!result || !result.isvalid || result.type !== 'sapling') {
+            emitErrorLog(`Could not start pool, daemon reports shieldedAddress ${options.shieldedAddress} is not a Sapling address`);
+            return false;
+        }
+        // Everything that changes the coinbase or the fees it claims
+        const coinbaseOptions = ['workerPayouts', 'rewardRecipients', 'coinbaseTag', 'coinbaseWorkerTag', 'transactionSelection', 'emptyJobOnNewBlock']
+            .filter(key => options[key] && !(Array.isArray(options[key]) && options[key].length === 0));
+        if (coinbaseOptions.length > 0) {
+            emitErrorLog(`Could not start pool, ${coinbaseOptions.join(', ')} can't be used with a shielded coinbase, which the daemon builds`);
+            return false;
+        }
+        return true;
+    };
+
     /**
      * Detects coin data by making batch RPC calls to the daemon.
      * @param {Object} options - The options object.
@@ -207,13 +425,20 @@ module.exports = (daemon, emitErrorLog, emitWarningLog, emitLog) => {
             ['getinfo', []],
             ['getmininginfo', []]
         ];
-        daemon.batchCmd(batchRpcCalls, (error, results) => {
+        const shieldedCoinbase = options.coin.shieldedCoinbase === true || !!options.shieldedAddress;
+        if (options.shieldedAddress) {
+            batchRpcCalls.push(['z_validateaddress', [options.shieldedAddress]]);
+        }
+        const recipients = options.rewardRecipients || [];
+        const recipientRpcCalls = recipients.map(recipient => ['validateaddress', [recipient.address]]);
+        daemon.batchCmd(batchRpcCalls.concat(recipientRpcCalls), (error, results) => {
             if (error || !results) {
                 emitErrorLog(`Could not start pool, error with init batch RPC call: ${JSON.stringify(error)}`);
                 return;
             }
             const rpcResults = {};
-            for (let i = 0; i < results.length; i++) {
+            // Results past batchRpcCalls are the rewardRecipients' validateaddress calls, checked separately
+            for (let i = 0; i < batchRpcCalls.length; i++) {
                 const rpcCall = batchRpcCalls[i][0];
                 const r = results[i];
                 rpcResults[rpcCall] = r.result || r.error;
@@ -226,6 +451,34 @@ module.exports = (daemon, emitErrorLog, emitWarningLog, emitLog) => {
                 emitErrorLog('Daemon reports address is not valid');
                 return;
             }
+            if (options.workerPayouts && options.coin.marmara) {
+                emitErrorLog('Could not start pool, workerPayouts can\'t be used with the Marmara (MCL) coinbase, which always pays pubkey');
+                return;
+            }
+            if (shieldedCoinbase && !checkShieldedCoinbase(options, rpcResults.z_validateaddress)) {
+                return;
+            }
+            const rewardRecipients = checkRewardRecipients(options, recipients, results.slice(batchRpcCalls.length));
+            if (!rewardRecipients) {
+                return;
+            }
+            options.rewardRecipients = rewardRecipients;
+            if (options.transactionSelection) {
+                try {
+                    options.transactionSelection.excludeAddressHashes = decodeExcludedAddresses(options.transactionSelection.excludeAddresses || []);
+                } catch (e) {
+                    emitErrorLog(`Could not start pool, transactionSelection ${e.message}`);
+                    return;
+                }
+            }
+            try {
+                localDecodeDisabled = !decodesAddress(rpcResults.validateaddress.address, rpcResults.validateaddress.scriptPubKey);
+            } catch (e) {
+                localDecodeDisabled = true;
+            }
+            if (localDecodeDisabled) {
+                emitWarningLog(`Local coinbase decode doesn't read ${options.address} the way the daemon does; every block template will be decoded with the daemon's decoderawtransaction`);
+            }
             options.coin.reward = rpcResults.getinfo.staked ? 'POS' : 'POW';
             emitWarningLog(`This coin is ${options.coin.reward}\t\t\t`);
             options.poolAddressScript = util.addressToScript(rpcResults.validateaddress.address);
@@ -242,7 +495,9 @@ module.exports = (daemon, emitErrorLog, emitWarningLog, emitLog) => {
 
     return {
         SubmitBlock,
+        ProposeBlock,
         CheckBlockAccepted,
+        GetRecentHeaders,
         OnBlockchainSynced,
         SetupBlockPolling,
         GetBlockTemplate,
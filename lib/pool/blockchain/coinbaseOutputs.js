@@ -0,0 +1,134 @@
+const bitcoin = require('bitgo-utxo-lib');
+
+// Opcodes that tell the daemon's output script types apart
+const OP_RETURN = 0x6a;
+const OP_CHECKSIG = 0xac;
+const OP_CHECKCRYPTOCONDITION = 0xcc;
+
+// Transactions are parsed as Zcash ones, like everywhere else in the pool, and addresses get the version bytes
+// Komodo and its assetchains share
+const NETWORK = { ...bitcoin.networks.zcash, pubKeyHash: 60, scriptHash: 85 };
+
+/**
+ * Works out the output script type and addresses the way the daemon's decoderawtransaction reports them.
+ * @param {Buffer} script - The output script.
+ * @param {Object} network - The coin's bitgo-utxo-lib network.
+ * @returns {Object} { type, addresses }, with addresses left out for scripts that don't pay one.
+ */
+const classifyScript = (script, network) => {
+    if (script.length === 25 && script[0] === 0x76 && script[1] === 0xa9 && script[2] === 0x14 && script[24] === OP_CHECKSIG) {
+        return { type: 'pubkeyhash', addresses: [bitcoin.address.toBase58Check(script.subarray(3, 23), network.pubKeyHash)] };
+    }
+    if (script.length === 23 && script[0] === 0xa9 && script[1] === 0x14 && script[22] === 0x87) {
+        return { type: 'scripthash', addresses: [bitcoin.address.toBase58Check(script.subarray(2, 22), network.scriptHash)] };
+    }
+    if ((script.length === 35 || script.length === 67) && script[0] === script.length - 2 && script[script.length - 1] === OP_CHECKSIG) {
+        const hash = bitcoin.crypto.hash160(script.subarray(1, script.length - 1));
+        return { type: 'pubkey', addresses: [bitcoin.address.toBase58Check(hash, network.pubKeyHash)] };
+    }
+    if (script.length > 0 && script[0] === OP_RETURN) {
+        return { type: 'nulldata' };
+    }
+    if (script.length > 0 && script[script.length - 1] === OP_CHECKCRYPTOCONDITION) {
+        return { type: 'cryptocondition' };
+    }
+    return { type: 'nonstandard' };
+};
+
+/**
+ * Checks, when the pool starts, that addresses decode locally the way the daemon reports them.
+ * @param {string} address - An address, such as the pool's.
+ * @param {string} scriptHex - The output script validateaddress reports for it.
+ * @returns {boolean} True if the script decodes to the address.
+ */
+const decodesAddress = (address, scriptHex) => {
+    const decoded = classifyScript(Buffer.from(scriptHex, 'hex'), NETWORK);
+    return !!decoded.addresses && decoded.addresses[0] === address;
+};
+
+/**
+ * Decodes the outputs of a getblocktemplate coinbasetxn, in the shape of decoderawtransaction's vout.
+ * @param {string} txHex - The raw coinbase transaction.
+ * @returns {Array<Object>} The outputs as { value, valueZat, n, scriptPubKey: { asm, hex, type, addresses } }.
+ * @throws {Error} If the transaction can't be parsed.
+ */
+const decodeCoinbaseOutputs = (txHex) => {
+    const tx = bitcoin.Transaction.fromHex(txHex, NETWORK);
+    return tx.outs.map((out, n) => {
+        const scriptPubKey = {
+            asm: bitcoin.script.toASM(out.script),
+            hex: out.script.toString('hex'),
+            ...classifyScript(out.script, NETWORK)
+        };
+        return {
+            value: out.value / Math.pow(10, 8),
+            valueZat: out.value,
+            n: n,
+            scriptPubKey: scriptPubKey
+        };
+    });
+};
+
+/**
+ * Compares locally decoded coinbase outputs with the daemon's decoderawtransaction vout.
+ * @param {Array<Object>} local - The outputs from decodeCoinbaseOutputs.
+ * @param {Array<Object>} daemonVouts - The daemon's vout.
+ * @returns {Array<string>} What differs; empty if the decodes agree on everything the coinbase is built from.
+ */
+const compareCoinbaseOutputs = (local, daemonVouts) => {
+    if (local.length !== daemonVouts.length) {
+        return [`${local.length} outputs decoded locally, ${daemonVouts.length} by the daemon`];
+    }
+    const differences = [];
+    local.forEach((vout, n) => {
+        const daemonVout = daemonVouts[n];
+        const daemonAddress = daemonVout.scriptPubKey.addresses ? daemonVout.scriptPubKey.addresses[0] : undefined;
+        const localAddress = vout.scriptPubKey.addresses ? vout.scriptPubKey.addresses[0] : undefined;
+        if (vout.valueZat !== Number(daemonVout.valueZat)) {
+            differences.push(`output ${n} value ${vout.valueZat} != ${daemonVout.valueZat}`);
+        }
+        if (vout.scriptPubKey.hex !== daemonVout.scriptPubKey.hex) {
+            differences.push(`output ${n} script ${vout.scriptPubKey.hex} != ${daemonVout.scriptPubKey.hex}`);
+        }
+        if (vout.scriptPubKey.type !== daemonVout.scriptPubKey.type) {
+            differences.push(`output ${n} type ${vout.scriptPubKey.type} != ${daemonVout.scriptPubKey.type}`);
+        }
+        if (localAddress !== daemonAddress) {
+            differences.push(`output ${n} address ${localAddress} != ${daemonAddress}`);
+        }
+    });
+    return differences;
+};
+
+/**
+ * Checks the coinbase the pool built against the daemon's before a job is given out. Ours must pay the same total,
+ * have at least as many outputs as the daemon's paying ones and keep every one of those besides the pool output
+ * (founders, CryptoCondition and other outputs the chain enforces) with its script and at least its value.
+ * @param {string} genTx - Our coinbase transaction.
+ * @param {Array<Object>} vouts - The daemon's coinbase outputs, as the job was built from them.
+ * @param {boolean} [marmara=false] - Zero-value Marmara outputs are required too.
+ * @returns {Array<string>} What is wrong with our coinbase; empty if nothing is.
+ */
+const checkGeneratedCoinbase = (genTx, vouts, marmara = false) => {
+    const outs = bitcoin.Transaction.fromHex(genTx, NETWORK).outs;
+    const daemonOutputs = vouts.filter(vout => Number(vout.valueZat) > 0 ||
+        (marmara && (vout.scriptPubKey.type === 'cryptocondition' || vout.scriptPubKey.type === 'nulldata')));
+    const total = outs.reduce((sum, out) => sum + out.value, 0);
+    const daemonTotal = vouts.reduce((sum, vout) => sum + Number(vout.valueZat), 0);
+    const problems = [];
+    if (total !== daemonTotal) {
+        problems.push(`pays ${total} instead of the daemon's ${daemonTotal}`);
+    }
+    if (outs.length < daemonOutputs.length) {
+        problems.push(`has ${outs.length} outputs, fewer than the daemon's ${daemonOutputs.length}`);
+    }
+    daemonOutputs.filter(vout => vout !== vouts[0]).forEach(vout => {
+        const kept = outs.some(out => out.script.toString('hex') === vout.scriptPubKey.hex && out.value >= Number(vout.valueZat));
+        if (!kept) {
+            problems.push(`leaves out the daemon's ${vout.scriptPubKey.type} output ${vout.n} of ${vout.valueZat} to ${vout.scriptPubKey.hex}`);
+        }
+    });
+    return problems;
+};
+
+module.exports = { decodesAddress, decodeCoinbaseOutputs, compareCoinbaseOutputs, checkGeneratedCoinbase };
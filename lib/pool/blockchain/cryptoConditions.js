@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+/*
+ Output scripts of Komodo CryptoConditions (CC), encoded the way libcryptoconditions does
+ https://github.com/KomodoPlatform/komodo/tree/master/src/cryptoconditions
+ */
+
+// Condition types, which are also their ASN.1 context tags
+const THRESHOLD = 2;
+const SECP256K1 = 5;
+const EVAL = 15;
+
+// What libcryptoconditions charges for checking each kind of condition
+const SECP256K1_COST = 131072;
+const EVAL_COST = 1048576;
+const THRESHOLD_SUBCONDITION_COST = 1024;
+
+const OP_CHECKCRYPTOCONDITION = 0xcc;
+
+/**
+ * Hashes data with SHA-256.
+ * @param {Buffer} data - The data.
+ * @returns {Buffer} The hash.
+ */
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * DER encodes a tag, length and contents.
+ * @param {number} tag - The tag byte.
+ * @param {Buffer} contents - The contents.
+ * @returns {Buffer} The encoding.
+ */
+const der = (tag, contents) => {
+    const length = contents.length < 0x80 ? Buffer.from([contents.length]) : Buffer.from([0x81, contents.length]);
+    return Buffer.concat([Buffer.from([tag]), length, contents]);
+};
+
+/**
+ * DER encodes the contents of an unsigned INTEGER.
+ * @param {number} value - The value.
+ * @returns {Buffer} The big-endian bytes, with a leading zero where the top bit is set.
+ */
+const derUInt = (value) => {
+    let hex = value.toString(16);
+    hex = hex.padStart(hex.length + (hex.length % 2), '0');
+    return Buffer.from((parseInt(hex.slice(0, 2), 16) & 0x80 ? '00' : '') + hex, 'hex');
+};
+
+/**
+ * DER encodes the contents of a BIT STRING with the given bits set, trailing zero bits left out.
+ * @param {number} mask - The bits, bit n standing for condition type n.
+ * @returns {Buffer} The unused bit count followed by the bits.
+ */
+const derBits = (mask) => {
+    const highest = 31 - Math.clz32(mask);
+    const bytes = Buffer.alloc(Math.floor(highest / 8) + 1);
+    for (let bit = 0; bit <= highest; bit++) {
+        if (mask & (1 << bit)) {
+            bytes[bit >> 3] |= 0x80 >> (bit & 7);
+        }
+    }
+    return Buffer.concat([Buffer.from([7 - (highest & 7)]), bytes]);
+};
+
+/**
+ * Makes a secp256k1 condition, met by a signature of the public key.
+ * @param {Buffer} publicKey - The compressed public key.
+ * @returns {Object} The condition as { type, fingerprint, cost, subtypes }.
+ */
+const secp256k1Condition = (publicKey) => ({
+    type: SECP256K1,
+    fingerprint: sha256(der(0x30, der(0x80, publicKey))),
+    cost: SECP256K1_COST,
+    subtypes: 0
+});
+
+/**
+ * Makes an eval condition, met when the chain's CC module for the eval code accepts the spend.
+ * @param {number} evalCode - The eval code of the CC module.
+ * @returns {Object} The condition as { type, fingerprint, cost, subtypes }.
+ */
+const evalCondition = (evalCode) => ({
+    type: EVAL,
+    fingerprint: sha256(Buffer.from([evalCode])),
+    cost: EVAL_COST,
+    subtypes: 0
+});
+
+/**
+ * DER encodes a condition.
+ * @param {Object} condition - The condition.
+ * @returns {Buffer} The encoding.
+ */
+const encodeCondition = (condition) => der(0xa0 | condition.type, Buffer.concat([
+    der(0x80, condition.fingerprint),
+    der(0x81, derUInt(condition.cost)),
+    ...(condition.type === THRESHOLD ? [der(0x82, derBits(condition.subtypes))] : [])
+]));
+
+/**
+ * Makes a threshold condition, met when `threshold` of its subconditions are.
+ * @param {number} threshold - How many subconditions must be met.
+ * @param {Array<Object>} subconditions - The subconditions.
+ * @returns {Object} The condition as { type, fingerprint, cost, subtypes }.
+ */
+const thresholdCondition = (threshold, subconditions) => {
+    // DER sorts a SET OF by the encodings of its members
+    const encoded = subconditions.map(encodeCondition).sort(Buffer.compare);
+    const costs = subconditions.map(condition => condition.cost).sort((a, b) => b - a);
+    const subtypes = subconditions.reduce((mask, condition) => mask | condition.subtypes | (1 << condition.type), 0);
+    return {
+        type: THRESHOLD,
+        fingerprint: sha256(der(0x30, Buffer.concat([der(0x80, derUInt(threshold)), der(0xa1, Buffer.concat(encoded))]))),
+        cost: costs.slice(0, threshold).reduce((sum, cost) => sum + cost, 0) + THRESHOLD_SUBCONDITION_COST * subconditions.length,
+        subtypes: subtypes & ~(1 << THRESHOLD)
+    };
+};
+
+/**
+ * Makes the output script of a CC output that either of two public keys can spend, like the daemon's
+ * MakeCC1of2vout. The daemon can append data to the script, after this part.
+ * @param {number} evalCode - The eval code of the CC module.
+ * @param {string} pubkey1 - One public key, in hex.
+ * @param {string} pubkey2 - The other public key, in hex.
+ * @returns {Buffer} The output script.
+ */
+const ccScript1of2 = (evalCode, pubkey1, pubkey2) => {
+    const keys = thresholdCondition(1, [Buffer.from(pubkey1, 'hex'), Buffer.from(pubkey2, 'hex')].map(secp256k1Condition));
+    const condition = encodeCondition(thresholdCondition(2, [evalCondition(evalCode), keys]));
+    return Buffer.concat([Buffer.from([condition.length]), condition, Buffer.from([OP_CHECKCRYPTOCONDITION])]);
+};
+
+module.exports = { ccScript1of2 };
@@ -0,0 +1,91 @@
+/*
+ Zcash's DigiShield v3 difficulty adjustment, which Komodo and its assetchains use to retarget every block
+ https://github.com/zcash/zcash/blob/master/src/pow.cpp
+ */
+
+// Komodo's defaults, used where the coin constants' difficultyAdjustment leaves them out
+const DEFAULT_ADJUSTMENT = {
+    averagingWindow: 17,
+    maxAdjustDown: 32, // %
+    maxAdjustUp: 16, // %
+    blockTime: 60, // seconds
+    powLimit: '0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f'
+};
+
+// Blocks whose times make up a median time past
+const MEDIAN_TIME_SPAN = 11;
+
+/**
+ * Expands compact nBits into the target they stand for.
+ * @param {string} bits - The nBits as 8 hex digits.
+ * @returns {bigint} The target.
+ */
+const bitsToTarget = (bits) => {
+    const compact = parseInt(bits, 16);
+    const size = compact >>> 24;
+    const mantissa = BigInt(compact & 0x007fffff);
+    return size <= 3 ? mantissa >> BigInt(8 * (3 - size)) : mantissa << BigInt(8 * (size - 3));
+};
+
+/**
+ * Packs a target into compact nBits.
+ * @param {bigint} target - The target.
+ * @returns {string} The nBits as 8 hex digits.
+ */
+const targetToBits = (target) => {
+    let size = target === 0n ? 0 : Math.ceil(target.toString(16).length / 2);
+    let compact = size <= 3 ? Number(target << BigInt(8 * (3 - size))) : Number(target >> BigInt(8 * (size - 3)));
+    // The mantissa is signed, so a set top bit needs another byte
+    if (compact & 0x00800000) {
+        compact >>>= 8;
+        size++;
+    }
+    return ((compact | (size << 24)) >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Gets the median time past of a block: the median time of it and the blocks before it.
+ * @param {Array<Object>} headers - Consecutive block headers, oldest first.
+ * @param {number} index - The index of the block in headers.
+ * @returns {number} The median time past.
+ */
+const medianTimePast = (headers, index) => {
+    const times = headers.slice(Math.max(0, index - MEDIAN_TIME_SPAN + 1), index + 1).map(header => header.time).sort((a, b) => a - b);
+    return times[Math.floor(times.length / 2)];
+};
+
+/**
+ * Gets how many headers up to the tip getNextBits needs.
+ * @param {Object} [adjustment] - The coin constants' difficultyAdjustment.
+ * @returns {number} The number of headers.
+ */
+const headersNeeded = (adjustment = {}) => (adjustment.averagingWindow || DEFAULT_ADJUSTMENT.averagingWindow) + MEDIAN_TIME_SPAN;
+
+/**
+ * Works out the nBits of the block after the tip.
+ * @param {Array<Object>} headers - The last headersNeeded() verbose getblockheader results up to the tip, oldest first.
+ * @param {Object} [adjustment] - The coin constants' difficultyAdjustment.
+ * @returns {string} The nBits as 8 hex digits.
+ */
+const getNextBits = (headers, adjustment = {}) => {
+    const params = { ...DEFAULT_ADJUSTMENT, ...adjustment };
+    const last = headers.length - 1;
+    const first = last - params.averagingWindow;
+
+    const total = headers.slice(first + 1).reduce((sum, header) => sum + bitsToTarget(header.bits), 0n);
+    const average = total / BigInt(params.averagingWindow);
+
+    const windowTimespan = params.averagingWindow * params.blockTime;
+    const minTimespan = Math.floor(windowTimespan * (100 - params.maxAdjustUp) / 100);
+    const maxTimespan = Math.floor(windowTimespan * (100 + params.maxAdjustDown) / 100);
+    // Dampened, with the division truncating toward zero like C++ does
+    let timespan = medianTimePast(headers, last) - medianTimePast(headers, first);
+    timespan = windowTimespan + Math.trunc((timespan - windowTimespan) / 4);
+    timespan = Math.min(Math.max(timespan, minTimespan), maxTimespan);
+
+    const powLimit = BigInt(`0x${params.powLimit}`);
+    const target = average / BigInt(windowTimespan) * BigInt(timespan);
+    return targetToBits(target > powLimit ? powLimit : target);
+};
+
+module.exports = { bitsToTarget, headersNeeded, getNextBits };
@@ -0,0 +1,149 @@
+const blake2b = require('@helpers/blake2b.js');
+
+/*
+ Equihash solution verification, ported from zcash's Equihash<N,K>::IsValidSolution
+ https://github.com/zcash/zcash/blob/master/src/crypto/equihash.cpp
+ */
+
+/**
+ * Expands an array of bitLen-bit big-endian values into byte-aligned values.
+ * @param {Buffer} input - The packed input.
+ * @param {number} outLen - The length of the expanded output in bytes.
+ * @param {number} bitLen - The number of bits per packed value.
+ * @param {number} [bytePad=0] - The number of zero bytes to prepend to each value.
+ * @returns {Buffer} The expanded output.
+ */
+const expandArray = (input, outLen, bitLen, bytePad = 0) => {
+    const outWidth = Math.ceil(bitLen / 8) + bytePad;
+    const bitLenMask = (1 << bitLen) - 1;
+    const out = Buffer.alloc(outLen);
+    let accBits = 0;
+    let accValue = 0;
+    let j = 0;
+
+    for (let i = 0; i < input.length; i++) {
+        accValue = ((accValue << 8) | input[i]) >>> 0;
+        accBits += 8;
+
+        if (accBits >= bitLen) {
+            accBits -= bitLen;
+            for (let x = bytePad; x < outWidth; x++) {
+                const shift = 8 * (outWidth - x - 1);
+                out[j + x] = (accValue >>> (accBits + shift)) & ((bitLenMask >>> shift) & 0xff);
+            }
+            j += outWidth;
+        }
+    }
+
+    return out;
+};
+
+/**
+ * Returns the parameters derived from n and k.
+ * @param {number} n - The Equihash n parameter.
+ * @param {number} k - The Equihash k parameter.
+ * @returns {Object} The derived parameters.
+ */
+const getParams = (n, k) => {
+    const collisionBitLength = n / (k + 1);
+    const collisionByteLength = Math.ceil(collisionBitLength / 8);
+    const indicesPerHashOutput = Math.floor(512 / n);
+    return {
+        collisionBitLength,
+        collisionByteLength,
+        hashLength: (k + 1) * collisionByteLength,
+        indicesPerHashOutput,
+        hashOutput: indicesPerHashOutput * n / 8,
+        solutionWidth: (1 << k) * (collisionBitLength + 1) / 8
+    };
+};
+
+/**
+ * Unpacks the minimal solution encoding into its list of indices.
+ * @param {Buffer} minimal - The solution without its compact size prefix.
+ * @param {number} collisionBitLength - The collision bit length.
+ * @returns {number[]} The solution indices.
+ */
+const getIndicesFromMinimal = (minimal, collisionBitLength) => {
+    const indexBits = collisionBitLength + 1;
+    const count = minimal.length * 8 / indexBits;
+    const expanded = expandArray(minimal, count * 4, indexBits, 4 - Math.ceil(indexBits / 8));
+    const indices = [];
+    for (let i = 0; i < count; i++) {
+        indices.push(expanded.readUInt32BE(i * 4));
+    }
+    return indices;
+};
+
+/**
+ * Verifies an Equihash solution for a block header.
+ * @param {Buffer} header - The 140-byte block header including the nonce.
+ * @param {Buffer} solution - The solution without its compact size prefix.
+ * @param {Object} params - The Equihash parameters.
+ * @param {number} params.n - The Equihash n parameter.
+ * @param {number} params.k - The Equihash k parameter.
+ * @param {string} params.personalization - The 8-character BLAKE2b personalization prefix.
+ * @returns {boolean} True if the solution is valid, false otherwise.
+ */
+const verify = (header, solution, { n, k, personalization }) => {
+    const p = getParams(n, k);
+    if (solution.length !== p.solutionWidth) {
+        return false;
+    }
+
+    const personal = Buffer.alloc(16);
+    personal.write(personalization, 0, 8, 'latin1');
+    personal.writeUInt32LE(n, 8);
+    personal.writeUInt32LE(k, 12);
+    const baseState = blake2b.update(blake2b.init(p.hashOutput, personal), header);
+
+    // Hash each index and expand it into collision-sized chunks
+    const hashCache = new Map();
+    let rows = getIndicesFromMinimal(solution, p.collisionBitLength).map((index) => {
+        const g = Math.floor(index / p.indicesPerHashOutput);
+        if (!hashCache.has(g)) {
+            const gBuffer = Buffer.alloc(4);
+            gBuffer.writeUInt32LE(g, 0);
+            hashCache.set(g, blake2b.final(blake2b.update(blake2b.copy(baseState), gBuffer)));
+        }
+        const start = (index % p.indicesPerHashOutput) * n / 8;
+        const hash = hashCache.get(g).subarray(start, start + n / 8);
+        return {
+            hash: expandArray(hash, p.hashLength, p.collisionBitLength),
+            indices: [index]
+        };
+    });
+
+    // Combine pairs of rows round by round, checking collisions, ordering and distinctness
+    while (rows.length > 1) {
+        const combined = [];
+        for (let i = 0; i < rows.length; i += 2) {
+            const a = rows[i];
+            const b = rows[i + 1];
+            if (a.hash.compare(b.hash, 0, p.collisionByteLength, 0, p.collisionByteLength) !== 0) {
+                return false;
+            }
+            if (b.indices[0] < a.indices[0]) {
+                return false;
+            }
+            const seen = new Set(a.indices);
+            if (b.indices.some(index => seen.has(index))) {
+                return false;
+            }
+            const hash = Buffer.alloc(a.hash.length - p.collisionByteLength);
+            for (let x = 0; x < hash.length; x++) {
+                hash[x] = a.hash[x + p.collisionByteLength] ^ b.hash[x + p.collisionByteLength];
+            }
+            combined.push({ hash, indices: a.indices.concat(b.indices) });
+        }
+        rows = combined;
+    }
+
+    return rows[0].hash.every(byte => byte === 0);
+};
+
+module.exports = {
+    expandArray,
+    getIndicesFromMinimal,
+    verify
+};
@@ -0,0 +1,187 @@
+const bitcoin = require('bitgo-utxo-lib');
+
+// Bytes of maxBlockSize kept for the header, Equihash solution and coinbase
+const BLOCK_OVERHEAD = 2048;
+
+/**
+ * Gets the hash160 an output script pays: the key hash of P2PKH, the script hash of P2SH or the hashed key of P2PK.
+ * @param {Buffer} script - The output script.
+ * @returns {Buffer|null} The hash, or null for other kinds of scripts.
+ */
+const scriptHash160 = (script) => {
+    if (script.length === 25 && script[0] === 0x76 && script[1] === 0xa9 && script[2] === 0x14) {
+        return script.subarray(3, 23);
+    }
+    if (script.length === 23 && script[0] === 0xa9 && script[1] === 0x14 && script[22] === 0x87) {
+        return script.subarray(2, 22);
+    }
+    if ((script.length === 35 || script.length === 67) && script[script.length - 1] === 0xac) {
+        return bitcoin.crypto.hash160(script.subarray(1, script.length - 1));
+    }
+    return null;
+};
+
+/**
+ * Checks whether a transaction pays any of the given address hashes.
+ * Transactions that can't be parsed are kept, since the daemon already accepted them.
+ * @param {string} txHex - The raw transaction.
+ * @param {Array<Buffer>} addressHashes - The hash160s of the excluded addresses.
+ * @returns {boolean} True if an output pays an excluded address.
+ */
+const paysAddress = (txHex, addressHashes) => {
+    let tx;
+    try {
+        tx = bitcoin.Transaction.fromHex(txHex, bitcoin.networks.zcash);
+    } catch (e) {
+        return false;
+    }
+    return tx.outs.some(out => {
+        const hash = scriptHash160(out.script);
+        return hash !== null && addressHashes.some(addressHash => addressHash.equals(hash));
+    });
+};
+
+/**
+ * Decodes the transactionSelection excludeAddresses once, when the pool starts.
+ * @param {Array<string>} addresses - The excluded addresses.
+ * @returns {Array<Buffer>} The hash160 of each address.
+ * @throws {Error} If an address can't be decoded.
+ */
+const decodeExcludedAddresses = (addresses) => addresses.map(address => {
+    try {
+        return bitcoin.address.fromBase58Check(address).hash;
+    } catch (e) {
+        throw new Error(`excludeAddresses entry ${address} is not a valid address (${e.message})`);
+    }
+});
+
+/**
+ * Adds an entry to a queue of transactions ready to go in, kept as a binary heap on the order they should go in.
+ * @param {Array<Object>} queue - The heap.
+ * @param {Object} entry - The entry, with its rank in the fill order.
+ */
+const pushReady = (queue, entry) => {
+    let i = queue.push(entry) - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (queue[parent].rank <= entry.rank) {
+            break;
+        }
+        queue[i] = queue[parent];
+        i = parent;
+    }
+    queue[i] = entry;
+};
+
+/**
+ * Takes the best ranked entry off a queue of transactions ready to go in.
+ * @param {Array<Object>} queue - The heap.
+ * @returns {Object} The entry.
+ */
+const popReady = (queue) => {
+    const top = queue[0];
+    const last = queue.pop();
+    if (queue.length > 0) {
+        let i = 0;
+        for (;;) {
+            let child = 2 * i + 1;
+            if (child >= queue.length) {
+                break;
+            }
+            if (child + 1 < queue.length && queue[child + 1].rank < queue[child].rank) {
+                child++;
+            }
+            if (queue[child].rank >= last.rank) {
+                break;
+            }
+            queue[i] = queue[child];
+            i = child;
+        }
+        queue[i] = last;
+    }
+    return top;
+};
+
+/**
+ * Picks the transactions of a getblocktemplate result that the block will include.
+ * Excluded transactions take everything that depends on them along; with orderByFeeRate the best paying
+ * transactions go first, but never ahead of the transactions they depend on.
+ * @param {Array<Object>} transactions - The template's transactions, with data, hash, fee and 1-based depends.
+ * @param {Object} [policy] - The transactionSelection config.
+ * @param {Array<string>} [policy.excludeTxids] - Transaction IDs never to include.
+ * @param {Array<Buffer>} [policy.excludeAddressHashes] - Transactions paying these hash160s (excludeAddresses,
+ *     decoded at startup by decodeExcludedAddresses) are never included.
+ * @param {number} [policy.maxTransactions] - The most transactions to include, coinbase not counted.
+ * @param {number} [policy.maxBlockSize] - The largest block to build, in bytes.
+ * @param {boolean} [policy.orderByFeeRate] - Fill the block by fee per byte rather than in the daemon's order.
+ * @param {boolean} [emptyBlock=false] - Include no transactions at all.
+ * @returns {Object} { transactions, excludedFees } with the included transactions in block order and
+ *     the fees (in satoshis) of the left out ones, which the coinbase can no longer claim.
+ */
+const selectTransactions = (transactions, policy = {}, emptyBlock = false) => {
+    const totalFees = transactions.reduce((total, tx) => total + (Number(tx.fee) || 0), 0);
+    if (emptyBlock) {
+        return { transactions: [], excludedFees: totalFees };
+    }
+
+    const excludeTxids = new Set((policy.excludeTxids || []).map(txid => txid.toLowerCase()));
+    const addressHashes = policy.excludeAddressHashes || [];
+    const entries = transactions.map((tx, i) => ({
+        tx: tx,
+        index: i + 1,
+        size: tx.data.length / 2,
+        feeRate: (Number(tx.fee) || 0) / (tx.data.length / 2),
+        depends: [...new Set(tx.depends || [])],
+        dependents: []
+    }));
+
+    // getblocktemplate lists transactions after the ones they depend on, so one pass finds every dependent
+    const excluded = new Set();
+    entries.forEach(entry => {
+        const txid = (entry.tx.txid || entry.tx.hash || '').toLowerCase();
+        if (excludeTxids.has(txid) ||
+            entry.depends.some(index => excluded.has(index)) ||
+            (addressHashes.length > 0 && paysAddress(entry.tx.data, addressHashes))) {
+            excluded.add(entry.index);
+        }
+    });
+
+    const candidates = entries.filter(entry => !excluded.has(entry.index));
+    if (policy.orderByFeeRate) {
+        candidates.sort((a, b) => b.feeRate - a.feeRate);
+    }
+    candidates.forEach((entry, rank) => {
+        entry.rank = rank;
+        entry.waitingOn = entry.depends.length;
+        entry.depends.forEach(index => entries[index - 1] && entries[index - 1].dependents.push(entry));
+    });
+
+    const maxTransactions = policy.maxTransactions > 0 ? policy.maxTransactions : Infinity;
+    const maxSize = policy.maxBlockSize > 0 ? policy.maxBlockSize - BLOCK_OVERHEAD : Infinity;
+    const selected = [];
+    let size = 0;
+    // Transactions become ready once everything they depend on is in, and ready ones go in by rank,
+    // so better paying transactions that were waiting on one go next. One that doesn't fit is left
+    // out and never readies its dependents.
+    const ready = [];
+    candidates.filter(entry => entry.waitingOn === 0).forEach(entry => pushReady(ready, entry));
+    while (ready.length > 0 && selected.length < maxTransactions) {
+        const entry = popReady(ready);
+        if (size + entry.size > maxSize) {
+            continue;
+        }
+        selected.push(entry.tx);
+        size += entry.size;
+        entry.dependents.forEach(dependent => {
+            dependent.waitingOn--;
+            if (dependent.waitingOn === 0) {
+                pushReady(ready, dependent);
+            }
+        });
+    }
+
+    const includedFees = selected.reduce((total, tx) => total + (Number(tx.fee) || 0), 0);
+    return { transactions: selected, excludedFees: totalFees - includedFees };
+};
+
+module.exports = { decodeExcludedAddresses, selectTransactions };
@@ -0,0 +1,241 @@
+/*
+ BLAKE2b as specified in RFC 7693, with support for the personalization parameter.
+ Node's crypto module only exposes unkeyed, unpersonalized blake2b512, which is not enough for Equihash.
+ 64-bit words are stored as pairs of 32-bit halves (low word first), following the blakejs layout.
+ */
+
+// Initialization vector, as little-endian 32-bit halves
+const IV = new Uint32Array([
+    0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85,
+    0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+    0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c,
+    0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+]);
+
+// Message word permutations for each of the 12 rounds, pre-multiplied by 2 to index 32-bit halves
+const SIGMA = [
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+    14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3,
+    11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4,
+    7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8,
+    9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13,
+    2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9,
+    12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11,
+    13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10,
+    6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5,
+    10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0,
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+    14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3
+].map(x => x * 2);
+
+const BLOCK_BYTES = 128;
+
+// Scratch space shared by every compression, this module is synchronous
+const v = new Uint32Array(32);
+const m = new Uint32Array(32);
+
+/**
+ * 64-bit addition of two words in the working vector: v[a] += v[b].
+ */
+const add64AA = (a, b) => {
+    const lo = v[a] + v[b];
+    let hi = v[a + 1] + v[b + 1];
+    if (lo >= 0x100000000) { hi++; }
+    v[a] = lo;
+    v[a + 1] = hi;
+};
+
+/**
+ * 64-bit addition of a message word to the working vector: v[a] += m[b].
+ */
+const add64AC = (a, b) => {
+    const lo = v[a] + m[b];
+    let hi = v[a + 1] + m[b + 1];
+    if (lo >= 0x100000000) { hi++; }
+    v[a] = lo;
+    v[a + 1] = hi;
+};
+
+/**
+ * The G mixing function.
+ */
+const mix = (a, b, c, d, ix, iy) => {
+    let xor0;
+    let xor1;
+
+    add64AA(a, b);
+    add64AC(a, ix);
+
+    // v[d] = (v[d] ^ v[a]) rotr 32
+    xor0 = v[d] ^ v[a];
+    xor1 = v[d + 1] ^ v[a + 1];
+    v[d] = xor1;
+    v[d + 1] = xor0;
+
+    add64AA(c, d);
+
+    // v[b] = (v[b] ^ v[c]) rotr 24
+    xor0 = v[b] ^ v[c];
+    xor1 = v[b + 1] ^ v[c + 1];
+    v[b] = (xor0 >>> 24) ^ (xor1 << 8);
+    v[b + 1] = (xor1 >>> 24) ^ (xor0 << 8);
+
+    add64AA(a, b);
+    add64AC(a, iy);
+
+    // v[d] = (v[d] ^ v[a]) rotr 16
+    xor0 = v[d] ^ v[a];
+    xor1 = v[d + 1] ^ v[a + 1];
+    v[d] = (xor0 >>> 16) ^ (xor1 << 16);
+    v[d + 1] = (xor1 >>> 16) ^ (xor0 << 16);
+
+    add64AA(c, d);
+
+    // v[b] = (v[b] ^ v[c]) rotr 63
+    xor0 = v[b] ^ v[c];
+    xor1 = v[b + 1] ^ v[c + 1];
+    v[b] = (xor1 >>> 31) ^ (xor0 << 1);
+    v[b + 1] = (xor0 >>> 31) ^ (xor1 << 1);
+};
+
+/**
+ * Compresses one 128-byte block into the chaining value.
+ * @param {Uint32Array} h - The chaining value, updated in place.
+ * @param {Buffer} block - The 128-byte block.
+ * @param {number} t - The total number of bytes hashed so far, including this block.
+ * @param {boolean} last - Whether this is the final block.
+ */
+const compress = (h, block, t, last) => {
+    for (let i = 0; i < 16; i++) {
+        v[i] = h[i];
+        v[i + 16] = IV[i];
+    }
+
+    // Byte counter, messages here never come close to 2^32 bytes
+    v[24] ^= t;
+    v[25] ^= t / 0x100000000;
+
+    if (last) {
+        v[28] = ~v[28];
+        v[29] = ~v[29];
+    }
+
+    for (let i = 0; i < 32; i++) {
+        m[i] = block.readUInt32LE(i * 4);
+    }
+
+    for (let r = 0; r < 12; r++) {
+        const s = r * 16;
+        mix(0, 8, 16, 24, SIGMA[s + 0], SIGMA[s + 1]);
+        mix(2, 10, 18, 26, SIGMA[s + 2], SIGMA[s + 3]);
+        mix(4, 12, 20, 28, SIGMA[s + 4], SIGMA[s + 5]);
+        mix(6, 14, 22, 30, SIGMA[s + 6], SIGMA[s + 7]);
+        mix(0, 10, 20, 30, SIGMA[s + 8], SIGMA[s + 9]);
+        mix(2, 12, 22, 24, SIGMA[s + 10], SIGMA[s + 11]);
+        mix(4, 14, 16, 26, SIGMA[s + 12], SIGMA[s + 13]);
+        mix(6, 8, 18, 28, SIGMA[s + 14], SIGMA[s + 15]);
+    }
+
+    for (let i = 0; i < 16; i++) {
+        h[i] = h[i] ^ v[i] ^ v[i + 16];
+    }
+};
+
+/**
+ * Creates a new BLAKE2b hashing state.
+ * @param {number} outlen - The digest length in bytes (1 to 64).
+ * @param {Buffer} [personal] - The optional 16-byte personalization string.
+ * @returns {Object} The hashing state.
+ */
+const init = (outlen, personal) => {
+    if (outlen < 1 || outlen > 64) {
+        throw new Error(`Invalid blake2b digest length: ${outlen}`);
+    }
+    if (personal && personal.length !== 16) {
+        throw new Error(`Invalid blake2b personalization length: ${personal.length}`);
+    }
+
+    const h = new Uint32Array(IV);
+
+    // Parameter block: digest length, key length 0, fanout 1, depth 1
+    h[0] ^= 0x01010000 ^ outlen;
+    if (personal) {
+        for (let i = 0; i < 4; i++) {
+            h[12 + i] ^= personal.readUInt32LE(i * 4);
+        }
+    }
+
+    return {
+        h,
+        t: 0,
+        outlen,
+        buffer: Buffer.alloc(BLOCK_BYTES),
+        bufferLength: 0
+    };
+};
+
+/**
+ * Creates an independent copy of a hashing state, so a common prefix only needs to be hashed once.
+ * @param {Object} state - The hashing state to copy.
+ * @returns {Object} The copied state.
+ */
+const copy = (state) => ({
+    h: new Uint32Array(state.h),
+    t: state.t,
+    outlen: state.outlen,
+    buffer: Buffer.from(state.buffer),
+    bufferLength: state.bufferLength
+});
+
+/**
+ * Adds data to a hashing state.
+ * The last block is always kept buffered since it has to be compressed with the final flag.
+ * @param {Object} state - The hashing state.
+ * @param {Buffer} data - The data to add.
+ * @returns {Object} The hashing state.
+ */
+const update = (state, data) => {
+    for (let i = 0; i < data.length; i++) {
+        if (state.bufferLength === BLOCK_BYTES) {
+            state.t += BLOCK_BYTES;
+            compress(state.h, state.buffer, state.t, false);
+            state.bufferLength = 0;
+        }
+        state.buffer[state.bufferLength++] = data[i];
+    }
+    return state;
+};
+
+/**
+ * Finalizes a hashing state and returns the digest.
+ * @param {Object} state - The hashing state, which must not be used afterwards.
+ * @returns {Buffer} The digest.
+ */
+const final = (state) => {
+    state.t += state.bufferLength;
+    state.buffer.fill(0, state.bufferLength);
+    compress(state.h, state.buffer, state.t, true);
+
+    const out = Buffer.alloc(64);
+    for (let i = 0; i < 16; i++) {
+        out.writeUInt32LE(state.h[i], i * 4);
+    }
+    return out.subarray(0, state.outlen);
+};
+
+/**
+ * Computes a BLAKE2b digest in one call.
+ * @param {Buffer} data - The data to hash.
+ * @param {number} [outlen=64] - The digest length in bytes.
+ * @param {Buffer} [personal] - The optional 16-byte personalization string.
+ * @returns {Buffer} The digest.
+ */
+const blake2b = (data, outlen = 64, personal) => final(update(init(outlen, personal), data));
+
+module.exports = {
+    blake2b,
+    init,
+    copy,
+    update,
+    final
+};
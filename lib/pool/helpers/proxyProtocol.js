@@ -0,0 +1,139 @@
+const net = require('net');
+
+/*
+ HAProxy PROXY protocol, versions 1 (text) and 2 (binary)
+ https://www.haproxy.org/download/2.8/doc/proxy-protocol.txt
+ */
+
+const V1_PREFIX = Buffer.from('PROXY ', 'ascii');
+const V1_MAX_LENGTH = 107;
+const V2_SIGNATURE = Buffer.from('0d0a0d0a000d0a515549540a', 'hex');
+const V2_HEADER_LENGTH = 16;
+
+/**
+ * Puts an address in one canonical form so it compares the same however it was written or reported:
+ * IPv4-mapped IPv6 addresses become IPv4 and IPv6 addresses get RFC 5952 text (lowercase, zero runs compressed).
+ * @param {string} address The address to normalize.
+ * @return {string} The normalized address.
+ */
+const normalizeAddress = (address) => {
+    const text = String(address || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '').toLowerCase();
+    return net.isIPv6(text) ? new net.SocketAddress({ address: text, family: 'ipv6' }).address : text;
+};
+
+/**
+ * Checks whether a connection comes from a proxy that is allowed to send PROXY headers.
+ * @param {string} address The address of the connecting socket.
+ * @param {Array<string>} trustedProxies The allow-list of proxy addresses.
+ * @return {boolean} True if the address is in the allow-list.
+ */
+const isTrustedProxy = (address, trustedProxies) => trustedProxies.map(normalizeAddress).includes(normalizeAddress(address));
+
+/**
+ * Checks whether a buffer could still turn into a PROXY header once more data arrives.
+ * @param {Buffer} buffer The data received so far.
+ * @return {boolean} True if the data is a prefix of a v1 or v2 header.
+ */
+const isHeaderPrefix = (buffer) => {
+    const v1Length = Math.min(buffer.length, V1_PREFIX.length);
+    const v2Length = Math.min(buffer.length, V2_SIGNATURE.length);
+    return buffer.subarray(0, v1Length).equals(V1_PREFIX.subarray(0, v1Length)) ||
+        buffer.subarray(0, v2Length).equals(V2_SIGNATURE.subarray(0, v2Length));
+};
+
+/**
+ * Parses a v1 header line.
+ * @param {string} line The header line without its CRLF.
+ * @return {Object|null} The source address and port, or null for PROXY UNKNOWN.
+ */
+const parseV1 = (line) => {
+    const parts = line.split(' ');
+    if (parts[1] === 'UNKNOWN') {
+        return null;
+    }
+    if (parts.length !== 6 || (parts[1] !== 'TCP4' && parts[1] !== 'TCP6')) {
+        throw new Error(`invalid PROXY v1 header: ${line}`);
+    }
+    const family = parts[1] === 'TCP4' ? 4 : 6;
+    const port = parseInt(parts[4], 10);
+    if (net.isIP(parts[2]) !== family || !(port >= 0 && port <= 65535)) {
+        throw new Error(`invalid PROXY v1 source: ${line}`);
+    }
+    return { address: normalizeAddress(parts[2]), port };
+};
+
+/**
+ * Formats 16 bytes as an IPv6 address.
+ * @param {Buffer} buffer The address bytes.
+ * @return {string} The address, normalized (see normalizeAddress).
+ */
+const formatIPv6 = (buffer) => {
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+        groups.push(buffer.readUInt16BE(i).toString(16));
+    }
+    return normalizeAddress(groups.join(':'));
+};
+
+/**
+ * Parses a v2 header.
+ * @param {Buffer} header The complete header, including its address block.
+ * @return {Object|null} The source address and port, or null for LOCAL and unsupported address families.
+ */
+const parseV2 = (header) => {
+    const version = header[12] >> 4;
+    const command = header[12] & 0x0f;
+    if (version !== 2 || command > 1) {
+        throw new Error(`invalid PROXY v2 version/command byte ${header[12]}`);
+    }
+    // LOCAL: health checks from the proxy itself
+    if (command === 0) {
+        return null;
+    }
+    const addresses = header.subarray(V2_HEADER_LENGTH);
+    switch (header[13]) {
+        case 0x11: // TCP over IPv4
+            if (addresses.length < 12) { throw new Error('truncated PROXY v2 IPv4 address block'); }
+            return { address: Array.from(addresses.subarray(0, 4)).join('.'), port: addresses.readUInt16BE(8) };
+        case 0x21: // TCP over IPv6
+            if (addresses.length < 36) { throw new Error('truncated PROXY v2 IPv6 address block'); }
+            return { address: formatIPv6(addresses.subarray(0, 16)), port: addresses.readUInt16BE(32) };
+        default:
+            return null;
+    }
+};
+
+/**
+ * Tries to read a PROXY header from the start of the received data.
+ * @param {Buffer} buffer The data received so far.
+ * @return {Object|null} null if more data is needed, otherwise { found, source, rest } where
+ *     found tells whether a header was present, source is the parsed source (or null) and rest is the data after it.
+ * @throws {Error} If a header is present but malformed.
+ */
+const readHeader = (buffer) => {
+    if (!isHeaderPrefix(buffer)) {
+        return { found: false, source: null, rest: buffer };
+    }
+    if (buffer[0] === V1_PREFIX[0]) {
+        const end = buffer.indexOf('\r\n');
+        if (end === -1) {
+            if (buffer.length >= V1_MAX_LENGTH) { throw new Error('PROXY v1 header too long'); }
+            return null;
+        }
+        return { found: true, source: parseV1(buffer.subarray(0, end).toString('ascii')), rest: buffer.subarray(end + 2) };
+    }
+    if (buffer.length < V2_HEADER_LENGTH) {
+        return null;
+    }
+    const length = V2_HEADER_LENGTH + buffer.readUInt16BE(14);
+    if (buffer.length < length) {
+        return null;
+    }
+    return { found: true, source: parseV2(buffer.subarray(0, length)), rest: buffer.subarray(length) };
+};
+
+module.exports = {
+    normalizeAddress,
+    isTrustedProxy,
+    readHeader
+};
@@ -1,4 +1,5 @@
 const util = require('@helpers/util.js');
+const proxyProtocol = require('@helpers/proxyProtocol.js');
 
 /**
  * Creates a subscription counter.
@@ -36,12 +37,13 @@ const sendJson = (socket, ...args) => {
 /**
  * Sets up the socket to handle incoming data and events.
  * This function sets up event listeners for the socket.
+ * With options.tcpProxyProtocol, a PROXY v1/v2 header is read first and rewrites the client's remoteAddress,
+ * after which 'proxyHeaderRead' is emitted.
  */
 const setupSocket = (options, handleMessage, self) => {
     const socket = options.socket;
     let dataBuffer = '';
-    socket.setEncoding('utf8');
-    socket.on('data', (d) => {
+    const handleData = (d) => {
         dataBuffer += d;
         // Check if data buffer exceeds 10KB
         if (Buffer.byteLength(dataBuffer, 'utf8') > 10240) {
@@ -59,23 +61,60 @@ const setupSocket = (options, handleMessage, self) => {
                 try {
                     messageJson = JSON.parse(message);
                 } catch (e) {
-                    if (options.tcpProxyProtocol !== true || d.indexOf('PROXY') !== 0) {
-                        self.emit('malformedMessage', message);
-                        socket.destroy();
-                    }
+                    self.emit('malformedMessage', message);
+                    socket.destroy();
                     return;
                 }
                 if (messageJson) { handleMessage(messageJson); }
             });
             dataBuffer = incomplete;
         }
-    });
+    };
+    const startReading = (rest) => {
+        socket.setEncoding('utf8');
+        socket.on('data', handleData);
+        if (rest && rest.length > 0) { handleData(rest.toString('utf8')); }
+    };
     socket.on('close', () => { self.emit('socketDisconnect'); });
     socket.on('error', (err) => {
         if (err.code !== 'ECONNRESET') {
             self.emit('socketError', err);
         }
     });
+
+    if (options.tcpProxyProtocol !== true) {
+        startReading();
+        return;
+    }
+
+    // The PROXY header is read as raw bytes, since v2 is binary, before the socket switches to text
+    const trusted = proxyProtocol.isTrustedProxy(socket.remoteAddress, options.trustedProxies || []);
+    let proxyBuffer = Buffer.alloc(0);
+    const readProxyHeader = (d) => {
+        proxyBuffer = Buffer.concat([proxyBuffer, d]);
+        let header;
+        try {
+            header = proxyProtocol.readHeader(proxyBuffer);
+        } catch (e) {
+            self.emit('proxyProtocolError', e.message);
+            socket.destroy();
+            return;
+        }
+        if (header === null) { return; }
+        socket.removeListener('data', readProxyHeader);
+        if (header.found && !trusted) {
+            self.emit('proxyProtocolError', `PROXY header from untrusted source ${socket.remoteAddress}`);
+            socket.destroy();
+            return;
+        }
+        if (header.source) {
+            self.proxyAddress = socket.remoteAddress;
+            self.remoteAddress = header.source.address;
+        }
+        self.emit('proxyHeaderRead');
+        startReading(header.rest);
+    };
+    socket.on('data', readProxyHeader);
 };
 
 /**
@@ -99,10 +138,32 @@ const getSafeWorkerString = (raw) => {
     return `${addr}.${wname}`;
 };
 
+/**
+ * Parses difficulty options from a worker's password field.
+ * Options are key=value pairs separated by commas or semicolons, e.g. "x,d=5000" or "sd=100;md=50".
+ * d is a static difficulty, sd a starting difficulty and md a minimum difficulty.
+ * Unknown keys and non-positive values are ignored; StratumClient keeps the rest within the port's difficulty range.
+ * @param {string} raw The raw (unsanitized) password string.
+ * @return {Object} The parsed staticDiff, startDiff and minDiff values that were present.
+ */
+const parsePasswordOptions = (raw) => {
+    const keys = { d: 'staticDiff', sd: 'startDiff', md: 'minDiff' };
+    const parsed = {};
+    String(raw || '').split(/[,;\s]+/).forEach((pair) => {
+        const [key, value] = pair.split('=');
+        const number = Number(value);
+        if (keys[key.toLowerCase()] && Number.isFinite(number) && number > 0) {
+            parsed[keys[key.toLowerCase()]] = number;
+        }
+    });
+    return parsed;
+};
+
 module.exports = {
     SubscriptionCounter,
     sendJson,
     setupSocket,
     getSafeString,
-    getSafeWorkerString
+    getSafeWorkerString,
+    parsePasswordOptions
 };
@@ -3,26 +3,53 @@ const crypto = require('crypto');
 const bignum = require('bignum');
 const util = require('@helpers/util.js');
 const blockTemplate = require('@blockchain/blockTemplate.js');
+const equihash = require('@blockchain/equihash.js');
 const logging = require('@middlewares/logging.js');
 const algos = require('@blockchain/algoProperties.js'); // Ensure algos is required
+const { checkGeneratedCoinbase } = require('@blockchain/coinbaseOutputs.js');
+const { bitsToTarget, getNextBits } = require('@blockchain/difficulty.js');
+
+// Compact size prefix of a 1344-byte Equihash 200,9 solution
+const SOLUTION_PREFIX = 'fd4005';
+const SOLUTION_SIZE = 1344; // bytes
+
+// Seconds that jobs superseded by a new block still classify late shares as stale
+const DEFAULT_STALE_SHARE_GRACE = 10;
+
+// Job history limits within one block, used when jobHistory leaves them out
+const DEFAULT_MAX_JOBS = 25;
+const DEFAULT_MAX_JOB_AGE = 900; // seconds
+
+// Blocks in a row whose bits must be predicted right before empty jobs are sent
+const BITS_PREDICTIONS_REQUIRED = 3;
 
 class ExtraNonceCounter {
     /**
      * Creates an instance of ExtraNonceCounter.
-     * @param {number} [configInstanceId] - The configuration instance ID.
+     * @param {Object} [range] - The extraNonce1 range assigned to this fork by init.js.
+     * @param {number} range.first - The first extraNonce1 of the range.
+     * @param {number} range.count - The number of extraNonce1 values in the range.
+     * @param {Function} [onWrap] - Called each time the range is used up and starts over.
      */
-    constructor(configInstanceId) {
-        this.instanceId = configInstanceId || crypto.randomBytes(4).readUInt32LE(0);
-        this.counter = this.instanceId << 27;
+    constructor(range, onWrap) {
+        // Without an assigned range, use the whole space from a random point
+        this.first = range ? range.first : 0;
+        this.count = range ? range.count : 0x100000000;
+        this.counter = range ? 0 : crypto.randomBytes(4).readUInt32LE(0);
         this.size = 4; // bytes
+        this.onWrap = onWrap;
     }
 
     /**
-     * Generates the next extra nonce.
+     * Generates the next extra nonce, wrapping around within the range.
      * @return {string} The next extra nonce in hexadecimal format.
      */
     next() {
-        const extraNonce = util.packUInt32BE(Math.abs(this.counter++));
+        const extraNonce = util.packUInt32BE(this.first + this.counter);
+        this.counter = (this.counter + 1) % this.count;
+        if (this.counter === 0 && this.onWrap) {
+            this.onWrap();
+        }
         return extraNonce.toString('hex');
     }
 }
@@ -60,16 +87,26 @@ class JobManager extends events.EventEmitter {
     /**
      * Creates an instance of JobManager.
      * @param {Object} options - The options for the JobManager.
+     * @param {Function} [proposeBlock] - blockUtils.ProposeBlock, for proposeTemplates.
      */
-    constructor(options) {
+    constructor(options, proposeBlock) {
         super();
         this.options = options;
+        this.proposeBlock = proposeBlock ? blockHex => new Promise(resolve => proposeBlock(blockHex, resolve)) : null;
         this.jobCounter = new JobCounter();
         this.config = JSON.parse(process.env.config);
         this.forkId = process.env.forkId;
-        this.extraNonceCounter = new ExtraNonceCounter(options.instanceId);
+        this.extraNonceCounter = new ExtraNonceCounter(options.extraNonceRange, () => {
+            this.emitWarningLog(`All ${this.extraNonceCounter.count} extraNonce1 values of this fork have been handed out; starting over, so a miner still connected from the last round can share its extraNonce1 with a new miner`);
+        });
         this.currentJob = null;
-        this.validJobs = {};
+        this.validJobs = new Map(); // jobId -> job, oldest first; hex IDs of only digits would sort first as object keys
+        this.staleJobs = {}; // jobId -> when (ms) its block was superseded
+        this.staleShares = 0;
+        this.workerJobs = {}; // variant key -> that variant of the current job, with workerPayouts or coinbaseWorkerTag
+        this.bitsPrediction = null; // { previousblockhash, height, bits, checked } of the block after the newest tip
+        this.bitsPredictionStreak = 0; // blocks in a row whose template had the predicted bits
+        this.templateQueue = Promise.resolve(); // template work still waiting on the daemon, see queueTemplateWork
 
         // Logging functions
         this.doLog = (severity, text, forkId = "0") => {
@@ -83,49 +120,280 @@ class JobManager extends events.EventEmitter {
         };
     }
 
+    /**
+     * Creates a job, checking its coinbase against the daemon's first so no miner works on a block the
+     * chain would reject (see checkGeneratedCoinbase). A daemon-built coinbase is used as it is.
+     * @param {Object} rpcData - The RPC data for the job.
+     * @param {string} poolAddress - The address the coinbase pays.
+     * @param {Object} [variant] - What sets a worker's variant of the job apart (see getWorkerJob).
+     * @return {Object|null} The block template, or null if it can't be used.
+     */
+    createJob(rpcData, poolAddress, variant = {}) {
+        let job;
+        try {
+            job = new blockTemplate(
+                this.jobCounter.next(),
+                rpcData,
+                this.extraNoncePlaceholder,
+                this.options.coin.reward,
+                poolAddress,
+                this.options.coin,
+                this.options.pubkey,
+                this.options.rewardRecipients,
+                variant
+            );
+        } catch (e) {
+            this.doLog('error', `Refusing work for block ${rpcData.height}, its coinbase can't be built: ${e.message}`);
+            return null;
+        }
+        if (!job.usesDaemonCoinbase) {
+            const problems = checkGeneratedCoinbase(job.genTx, rpcData.vouts, this.options.coin.marmara === true);
+            if (problems.length > 0) {
+                this.doLog('error', `Refusing work for block ${rpcData.height}, its coinbase ${problems.join('; ')}`);
+                return null;
+            }
+        }
+        return job;
+    }
+
+    /**
+     * With proposeTemplates, has the daemon check the block of a job, with a dummy solution, in
+     * getblocktemplate proposal mode before miners get the job.
+     * @param {Object} job - The block template of the job.
+     * @return {Promise<boolean>} False if the daemon rejects the block.
+     */
+    async proposeJob(job) {
+        if (this.options.proposeTemplates !== true || !this.proposeBlock) {
+            return true;
+        }
+        const header = job.serializeHeader(util.packUInt32LE(job.rpcData.curtime).toString('hex'), '00'.repeat(32));
+        const soln = Buffer.from(SOLUTION_PREFIX + '00'.repeat(SOLUTION_SIZE), 'hex');
+        const reason = await this.proposeBlock(job.serializeBlock(header, soln).toString('hex'));
+        if (reason) {
+            this.doLog('error', `Refusing work for block ${job.rpcData.height}, the daemon rejects its block proposal: ${reason}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Runs template work once the template work queued before it is done. Proposing a job waits on the daemon,
+     * so without the queue an older template could finish last and replace the job of a newer one.
+     * @param {Function} task - The work, returning a promise.
+     * @return {Promise} What the work returns.
+     */
+    queueTemplateWork(task) {
+        const run = this.templateQueue.then(task);
+        this.templateQueue = run.catch(() => { });
+        return run;
+    }
+
     /**
      * Updates the current job with new RPC data.
      * @param {Object} rpcData - The RPC data for the new job.
+     * @return {Promise} Resolves once the job is updated, or left alone.
      */
-    async updateCurrentJob(rpcData) {
-        const tmpBlockTemplate = new blockTemplate(
-            this.jobCounter.next(),
-            rpcData,
-            this.extraNoncePlaceholder,
-            this.options.coin.reward,
-            this.options.address,
-            this.options.coin,
-            this.options.pubkey
-        );
-        this.currentJob = tmpBlockTemplate;
-        this.emit('updatedBlock', tmpBlockTemplate, true);
-        this.validJobs[tmpBlockTemplate.jobId] = tmpBlockTemplate;
+    updateCurrentJob(rpcData) {
+        return this.queueTemplateWork(async () => {
+            const tmpBlockTemplate = this.createJob(rpcData, this.options.address);
+            if (!tmpBlockTemplate || !(await this.proposeJob(tmpBlockTemplate))) {
+                return;
+            }
+            // A template for a newer tip can have been processed in the meantime
+            if (this.currentJob && this.currentJob.rpcData.previousblockhash !== rpcData.previousblockhash) {
+                return;
+            }
+            this.replaceCurrentJob(tmpBlockTemplate);
+        });
+    }
+
+    /**
+     * Makes a job for the current block the current job, without dropping the jobs before it.
+     * @param {Object} job - The block template of the job.
+     */
+    replaceCurrentJob(job) {
+        this.currentJob = job;
+        this.emit('updatedBlock', job, true);
+        this.addJob(job);
+    }
+
+    /**
+     * Starts work on a new chain tip before its block template is ready, with a job that has no transactions.
+     * Komodo and its assetchains retarget every block, so the job's bits are worked out from the headers up to
+     * the tip (see getNextBits); as the chain can have rules of its own, empty jobs are only sent once the bits
+     * of the last BITS_PREDICTIONS_REQUIRED blocks were predicted right. The coinbase claims the current block
+     * reward without fees. The full template replaces the job (see processTemplate).
+     * @param {Array<Object>} headers - The verbose getblockheader results up to the new tip, oldest first,
+     *     as many as headersNeeded asks for.
+     * @return {boolean} True if the job was made; false if the bits can't be trusted yet, the tip doesn't
+     *     build on the current job's tip or its template is already there.
+     */
+    processEmptyJob(headers) {
+        const header = headers[headers.length - 1];
+        const bits = getNextBits(headers, this.options.coin.difficultyAdjustment);
+        this.bitsPrediction = { previousblockhash: header.hash, height: header.height + 1, bits: bits, checked: false };
+
+        const current = this.currentJob;
+        if (current && !current.isEmptyJob) {
+            this.checkBitsPrediction(current.rpcData);
+        }
+        if (!current || this.options.coin.marmara || header.previousblockhash !== current.rpcData.previousblockhash) {
+            return false;
+        }
+        if (this.bitsPredictionStreak < BITS_PREDICTIONS_REQUIRED) {
+            if ((!this.forkId || this.forkId === '0') && this.config.printNewWork === true) {
+                this.emitGrayLog(`No empty work for block ${header.height + 1} until the bits of ${BITS_PREDICTIONS_REQUIRED} blocks in a row are predicted right (${this.bitsPredictionStreak} so far)`);
+            }
+            return false;
+        }
+        const fees = current.rewardFees;
+        const rpcData = {
+            ...current.rpcData,
+            previousblockhash: header.hash,
+            height: header.height + 1,
+            curtime: Math.max(Date.now() / 1000 | 0, header.time + 1),
+            bits: bits,
+            target: bitsToTarget(bits).toString(16).padStart(64, '0'),
+            finalsaplingroothash: header.finalsaplingroot, // Nothing is added to the tip's Sapling tree
+            transactions: [],
+            coinbasetxn: { ...current.rpcData.coinbasetxn, coinbasevalue: Math.round(current.rpcData.miner * 100000000) - fees },
+            vouts: current.rpcData.vouts.map((vout, i) => (i === 0 ? { ...vout, valueZat: vout.valueZat - fees } : vout))
+        };
+        rpcData.miner = (rpcData.coinbasetxn.coinbasevalue / Math.pow(10, 8)).toFixed(8);
+
+        const emptyJob = this.createJob(rpcData, this.options.address);
+        if (!emptyJob) {
+            return false;
+        }
+        emptyJob.isEmptyJob = true;
+        this.currentJob = emptyJob;
+        this.retireJobs();
+        this.emit('newBlock', emptyJob);
+        this.addJob(emptyJob);
+        if ((!this.forkId || this.forkId === '0') && this.config.printNewWork === true) {
+            this.emitGrayLog(`Sent empty work for block ${rpcData.height} while its template is fetched`);
+        }
+        return true;
+    }
+
+    /**
+     * Checks the bits processEmptyJob predicted against the first template for that block. A wrong prediction
+     * stops empty jobs until enough blocks are predicted right again, and drops the jobs made with the wrong
+     * bits, so no share on them is taken for a block the chain would reject.
+     * @param {Object} rpcData - The block template.
+     */
+    checkBitsPrediction(rpcData) {
+        const prediction = this.bitsPrediction;
+        if (!prediction || prediction.checked || prediction.previousblockhash !== rpcData.previousblockhash) {
+            return;
+        }
+        prediction.checked = true;
+        if (prediction.bits === rpcData.bits) {
+            this.bitsPredictionStreak++;
+            return;
+        }
+        this.bitsPredictionStreak = 0;
+        this.emitWarningLog(`Predicted bits ${prediction.bits} for block ${rpcData.height}, but its template has ${rpcData.bits}; no empty work until ${BITS_PREDICTIONS_REQUIRED} blocks in a row are predicted right`);
+        this.validJobs.forEach((job, jobId) => {
+            if (job.rpcData.previousblockhash === rpcData.previousblockhash && job.rpcData.bits !== rpcData.bits) {
+                this.validJobs.delete(jobId);
+            }
+        });
+    }
+
+    /**
+     * Gets a worker's variant of the current job, whose coinbase pays the worker's own address and/or carries its tag.
+     * Variants get their own job ID and merkle root, and are made once per variant for each current job.
+     * A variant whose coinbase can't be used falls back to the current job.
+     * @param {Object} variant - What sets the worker's coinbase apart.
+     * @param {string} [variant.payoutAddress] - The worker's payout address.
+     * @param {Buffer} [variant.payoutScript] - The output script of the payout address.
+     * @param {string} [variant.workerTag] - The worker's coinbase tag.
+     * @return {Object} The block template of the variant.
+     */
+    getWorkerJob(variant) {
+        const variantKey = `${variant.payoutAddress || ''}/${variant.workerTag || ''}`;
+        const cached = this.workerJobs[variantKey];
+        if (cached && (cached === this.currentJob || cached.baseJobId === this.currentJob.jobId)) {
+            return cached;
+        }
+        const workerJob = this.createJob(this.currentJob.rpcData, variant.payoutAddress || this.options.address, variant);
+        if (!workerJob) {
+            this.workerJobs[variantKey] = this.currentJob;
+            return this.currentJob;
+        }
+        workerJob.baseJobId = this.currentJob.jobId;
+        workerJob.variantKey = variantKey;
+        this.workerJobs[variantKey] = workerJob;
+        this.addJob(workerJob);
+        return workerJob;
+    }
+
+    /**
+     * Adds a job to the job history, evicting the oldest jobs once the history is over its
+     * size or age limit; shares for evicted jobs are rejected as "job not found".
+     * Each worker variant (see getWorkerJob) has its own maxJobs.
+     * @param {Object} job - The block template of the job.
+     */
+    addJob(job) {
+        const history = this.options.jobHistory || {};
+        const maxJobs = history.maxJobs || DEFAULT_MAX_JOBS;
+        const oldestAllowed = Date.now() - (history.maxAge || DEFAULT_MAX_JOB_AGE) * 1000;
+        this.validJobs.set(job.jobId, job);
+        const variantJobs = [...this.validJobs.values()].filter(validJob => validJob.variantKey === job.variantKey);
+        let excess = variantJobs.length - maxJobs;
+        for (const validJob of variantJobs) {
+            if (validJob === job) {
+                break;
+            }
+            if (excess > 0 || validJob.createdAt < oldestAllowed) {
+                this.validJobs.delete(validJob.jobId);
+                excess--;
+            }
+        }
+    }
+
+    /**
+     * Processes a new block template, after any template still being processed (see queueTemplateWork).
+     * @param {Object} rpcData - The RPC data for the new block template.
+     * @return {Promise<boolean>} Resolves to true if a new block was processed.
+     */
+    processTemplate(rpcData) {
+        return this.queueTemplateWork(() => this.applyTemplate(rpcData));
     }
 
     /**
-     * Processes a new block template.
+     * Makes a job of a new block template and decides whether it is new work, see processTemplate.
      * @param {Object} rpcData - The RPC data for the new block template.
-     * @return {boolean} Returns true if a new block was processed.
+     * @return {Promise<boolean>} Resolves to true if a new block was processed.
      */
-    async processTemplate(rpcData) {
-        const tmpBlockTemplate = new blockTemplate(
-            this.jobCounter.next(),
-            rpcData,
-            this.extraNoncePlaceholder,
-            this.options.coin.reward,
-            this.options.address,
-            this.options.coin,
-            this.options.pubkey
-        );
+    async applyTemplate(rpcData) {
+        this.checkBitsPrediction(rpcData);
+
+        // Miners keep their current work rather than get a job that can't make a valid block
+        const tmpBlockTemplate = this.createJob(rpcData, this.options.address);
+        if (!tmpBlockTemplate || !(await this.proposeJob(tmpBlockTemplate))) {
+            return false;
+        }
 
         // Determine if the difficulty or block is new
         const isNewDiff = typeof this.currentJob === 'undefined';
         const newDiff = !this.currentJob || (rpcData.target !== this.currentJob.rpcData.target);
         const isNewBlock = typeof this.currentJob === 'undefined';
-        const newBlock = !this.currentJob || (rpcData.height !== this.currentJob.rpcData.height);
+        let newBlock = !this.currentJob || (rpcData.height !== this.currentJob.rpcData.height);
+
+        // An empty job can be ahead of templates requested before its tip was announced
+        if (this.currentJob && this.currentJob.isEmptyJob && rpcData.height < this.currentJob.rpcData.height) {
+            return false;
+        }
+
+        // The template for a tip that so far only had an empty job (see processEmptyJob) takes over as new work,
+        // but the empty job stays valid since it builds on the same tip
+        const replacesEmptyJob = !newBlock && this.currentJob.isEmptyJob === true &&
+            this.currentJob.rpcData.previousblockhash === rpcData.previousblockhash;
 
         // Handle new difficulty
-        if (!newBlock && newDiff) {
+        if (!newBlock && !replacesEmptyJob && newDiff) {
             if (this.currentJob) {
                 const targeta = bignum(this.currentJob.rpcData.target, 16);
                 const targetb = bignum(rpcData.target, 16);
@@ -137,7 +405,7 @@ class JobManager extends events.EventEmitter {
                     }
                 }
             }
-            this.updateCurrentJob(rpcData);
+            this.replaceCurrentJob(tmpBlockTemplate);
             return false;
         }
 
@@ -146,17 +414,23 @@ class JobManager extends events.EventEmitter {
             if (rpcData.height < this.currentJob.rpcData.height) {
                 return false;
             }
+            // Same height on a different tip: jobs building on the old tip can no longer make blocks
+            newBlock = true;
         }
 
-        if (!newBlock) {
-            this.updateCurrentJob(rpcData);
+        if (!newBlock && !replacesEmptyJob) {
+            this.replaceCurrentJob(tmpBlockTemplate);
             return false;
         }
 
         this.currentJob = tmpBlockTemplate;
-        this.validJobs = {};
+        if (replacesEmptyJob) {
+            this.workerJobs = {};
+        } else {
+            this.retireJobs();
+        }
         this.emit('newBlock', tmpBlockTemplate);
-        this.validJobs[tmpBlockTemplate.jobId] = tmpBlockTemplate;
+        this.addJob(tmpBlockTemplate);
 
         // Update target and difficulty
         this.target = bignum(rpcData.target, 16);
@@ -178,6 +452,52 @@ class JobManager extends events.EventEmitter {
         return true;
     }
 
+    /**
+     * Moves the jobs of the previous block into the stale job history, where they stay for the
+     * staleShareGrace period so late shares for them are reported as stale rather than unknown.
+     */
+    retireJobs() {
+        const now = Date.now();
+        const graceMs = this.staleShareGraceMs();
+        Object.keys(this.staleJobs).forEach(jobId => {
+            if (now - this.staleJobs[jobId] > graceMs) {
+                delete this.staleJobs[jobId];
+            }
+        });
+        // Only the time is kept, so the templates themselves can be freed
+        this.validJobs.forEach((job, jobId) => {
+            this.staleJobs[jobId] = now;
+        });
+        this.validJobs = new Map();
+        this.workerJobs = {};
+    }
+
+    /**
+     * Gets the stale share grace period.
+     * @return {number} The grace period in milliseconds.
+     */
+    staleShareGraceMs() {
+        const grace = typeof this.options.staleShareGrace === 'number' ? this.options.staleShareGrace : DEFAULT_STALE_SHARE_GRACE;
+        return grace * 1000;
+    }
+
+    /**
+     * Checks whether a job ID belongs to a job superseded by a new block within the grace period.
+     * @param {string} jobId - The job ID.
+     * @return {boolean} True if shares for the job are stale.
+     */
+    isStaleJob(jobId) {
+        const staleSince = this.staleJobs[jobId];
+        if (!staleSince) {
+            return false;
+        }
+        if (Date.now() - staleSince > this.staleShareGraceMs()) {
+            delete this.staleJobs[jobId];
+            return false;
+        }
+        return true;
+    }
+
     /**
      * Processes a share submitted by a worker.
      * @param {string} jobId - The job ID.
@@ -194,19 +514,26 @@ class JobManager extends events.EventEmitter {
      * @return {Object} The result of the share processing.
      */
     processShare(jobId, previousDifficulty, difficulty, extraNonce1, extraNonce2, nTime, nonce, ipAddress, port, workerName, soln) {
-        const shareError = (error) => {
+        const shareError = (error, isStale = false) => {
             this.emit('share', {
                 job: jobId,
                 ip: ipAddress,
                 worker: workerName,
                 difficulty: difficulty,
-                error: error[1]
+                error: error[1],
+                stale: isStale
             });
             return { error: error, result: null };
         };
 
         const submitTime = Date.now() / 1000 | 0;
-        const job = this.validJobs[jobId];
+        const job = this.validJobs.get(jobId);
+        // Never build on a job whose prevhash is no longer the chain tip
+        const isStale = job ? job.rpcData.previousblockhash !== this.currentJob.rpcData.previousblockhash : this.isStaleJob(jobId);
+        if (isStale) {
+            this.staleShares++;
+            return shareError([27, 'stale share'], true);
+        }
         if (!job || job.jobId !== jobId) {
             return shareError([21, 'job not found']);
         }
@@ -232,14 +559,20 @@ class JobManager extends events.EventEmitter {
         if (soln.length !== 2694) {
             return shareError([20, 'incorrect size of solution']);
         }
-        if (!job.registerSubmit(extraNonce1.toLowerCase(), extraNonce2.toLowerCase(), nTime, nonce)) {
+        // Duplicates are turned away before the solution is verified, but only registered once it is
+        if (job.isSubmitted(nTime, nonce, soln)) {
             return shareError([22, 'duplicate share']);
         }
 
         const extraNonce1Buffer = Buffer.from(extraNonce1, 'hex');
         const extraNonce2Buffer = Buffer.from(extraNonce2, 'hex');
         const headerBuffer = job.serializeHeader(nTime, nonce);
-        const headerSolnBuffer = Buffer.concat([headerBuffer, Buffer.from(soln, 'hex')]);
+        const solnBuffer = Buffer.from(soln, 'hex');
+        if (soln.slice(0, SOLUTION_PREFIX.length).toLowerCase() !== SOLUTION_PREFIX) {
+            return shareError([26, 'invalid solution']);
+        }
+
+        const headerSolnBuffer = Buffer.concat([headerBuffer, solnBuffer]);
         const headerHash = util.sha256d(headerSolnBuffer);
         const headerBigNum = bignum.fromBuffer(headerHash, { endian: 'little', size: 32 });
 
@@ -249,14 +582,12 @@ class JobManager extends events.EventEmitter {
 
         const shareDiff = (algos.komodo.diff1 / headerBigNum.toNumber());
         const blockDiffAdjusted = job.difficulty;
+        const isBlockCandidate = headerBigNum.le(job.target);
 
-        // Check if the share is a valid block candidate
-        if (headerBigNum.le(job.target)) {
-            blockHex = job.serializeBlock(headerBuffer, Buffer.from(soln, 'hex')).toString('hex');
-            blockHash = util.reverseBuffer(headerHash).toString('hex');
-        } else {
+        // The hash is checked against the targets first, as it is far cheaper than verifying the solution
+        if (!isBlockCandidate) {
             if (this.options.emitInvalidBlockHashes) {
-                blockHashInvalid = util.reverseBuffer(util.sha256d(headerSolnBuffer)).toString('hex');
+                blockHashInvalid = util.reverseBuffer(headerHash).toString('hex');
             }
             if (shareDiff / difficulty < 0.99) {
                 if (previousDifficulty && shareDiff >= previousDifficulty) {
@@ -267,6 +598,25 @@ class JobManager extends events.EventEmitter {
             }
         }
 
+        // Verify the Equihash solution before the share is credited or a block is serialized
+        if (!equihash.verify(headerBuffer, solnBuffer.subarray(SOLUTION_PREFIX.length / 2), algos.komodo)) {
+            return shareError([26, 'invalid solution']);
+        }
+        if (!job.registerSubmit(nTime, nonce, soln)) {
+            return shareError([22, 'duplicate share']);
+        }
+
+        if (isBlockCandidate) {
+            const blockBuffer = job.serializeBlock(headerBuffer, solnBuffer);
+            const blockProblem = job.checkSerializedBlock(blockBuffer, headerSolnBuffer.length);
+            if (!blockProblem) {
+                blockHex = blockBuffer.toString('hex');
+                blockHash = util.reverseBuffer(headerHash).toString('hex');
+            } else {
+                this.doLog('error', `Serialized block for job ${jobId} is invalid, ${blockProblem}; not submitting it`);
+            }
+        }
+
         // Emit the share event with relevant data
         this.emit('share', {
             job: jobId,
@@ -6,6 +6,7 @@ const stratum = require('@protocols/stratum.js');
 const varDiff = require('./varDiff.js');
 const jobManager = require('./jobManager.js');
 const logging = require('@middlewares/logging.js');
+const { headersNeeded } = require('@blockchain/difficulty.js');
 
 const doLog = (severity, text, forkId = "0") => logging(" Pool ", severity, text, forkId);
 const emitLog = text => doLog('debug', text);
@@ -13,6 +14,9 @@ const emitWarningLog = text => doLog('warning', text);
 const emitErrorLog = text => doLog('error', text);
 const emitSpecialLog = text => doLog('special', text);
 
+const DEFAULT_DRAIN_TIMEOUT = 10; // seconds
+const DRAIN_CHECK_INTERVAL_MS = 250;
+
 class Pool extends events.EventEmitter {
     /**
      * Initializes the pool with the given options and authorization function.
@@ -25,6 +29,10 @@ class Pool extends events.EventEmitter {
         this.config = JSON.parse(process.env.config);
         this.authorizeFn = authorizeFn;
         this.blockPollingIntervalId = null;
+        this.pendingBlockSubmissions = 0;
+        this.draining = false;
+        this.pendingBans = {};
+        this.payoutScripts = {}; // validated worker payout address -> output script, with workerPayouts
         this.daemon = new DaemonInterface(options.daemons, (severity, message) => this.emit('log', severity, message));
         this.blockUtils = require('@blockchain/blockUtils.js')(this.daemon, emitErrorLog, emitWarningLog, emitLog);
         const { GetBlockTemplate, DetectCoinData } = require('@blockchain/blockUtils.js')(this.daemon, emitErrorLog, emitWarningLog, emitLog);
@@ -43,7 +51,7 @@ class Pool extends events.EventEmitter {
                 this.setupJobManager();
                 this.blockUtils.OnBlockchainSynced(() => {
                     this.getFirstJob(() => {
-                        this.blockUtils.SetupBlockPolling(this.options, callback => this.GetBlockTemplate(this.jobManager, this.varDiff, callback));
+                        this.blockPollingIntervalId = this.blockUtils.SetupBlockPolling(this.options, callback => this.GetBlockTemplate(this.jobManager, this.varDiff, callback));
                         this.setupPeer();
                         this.startStratumServer(() => {
                             this.outputPoolInfo();
@@ -117,16 +125,14 @@ class Pool extends events.EventEmitter {
      * Sets up the job manager and its event listeners.
      */
     setupJobManager() {
-        this.jobManager = new jobManager(this.options);
-        this.jobManager.on('newBlock', blockTemplate => {
+        this.jobManager = new jobManager(this.options, this.blockUtils.ProposeBlock);
+        this.jobManager.on('newBlock', () => {
             if (this.stratumServer) {
-                this.stratumServer.broadcastMiningJobs(blockTemplate.getJobParams());
+                this.stratumServer.broadcastMiningJobs(client => this.jobParamsFor(client));
             }
-        }).on('updatedBlock', blockTemplate => {
+        }).on('updatedBlock', () => {
             if (this.stratumServer) {
-                const job = blockTemplate.getJobParams();
-                job[7] = false;
-                this.stratumServer.broadcastMiningJobs(job);
+                this.stratumServer.broadcastMiningJobs(client => this.jobParamsFor(client, false));
             }
         }).on('share', (shareData, blockHex) => {
             const isValidShare = !shareData.error;
@@ -137,8 +143,14 @@ class Pool extends events.EventEmitter {
             if (!isValidBlock) {
                 emitShare();
             } else {
-                this.blockUtils.SubmitBlock(blockHex, () => {
+                this.pendingBlockSubmissions++;
+                this.blockUtils.SubmitBlock(blockHex, submitted => {
+                    if (!submitted) {
+                        this.pendingBlockSubmissions--;
+                        return;
+                    }
                     this.blockUtils.CheckBlockAccepted(shareData.blockHash, (isAccepted, tx) => {
+                        this.pendingBlockSubmissions--;
                         isValidBlock = isAccepted;
                         shareData.txHash = tx;
                         emitShare();
@@ -158,10 +170,19 @@ class Pool extends events.EventEmitter {
      * @param {Function} finishedCallback - The callback to execute when the server is started.
      */
     startStratumServer(finishedCallback) {
-        this.stratumServer = new stratum.Server(this.options, this.authorizeFn);
+        this.stratumServer = new stratum.Server(this.options, (...args) => this.authorizeClient(...args));
+        Object.keys(this.pendingBans).forEach(ip => this.stratumServer.banIP(ip, this.pendingBans[ip]));
+        this.pendingBans = {};
         this.stratumServer.on('started', () => {
-            this.options.initStats.stratumPorts = Object.keys(this.options.ports);
-            this.stratumServer.broadcastMiningJobs(this.jobManager.currentJob.getJobParams());
+            this.options.initStats.stratumPorts = [];
+            Object.keys(this.options.ports).forEach(port => {
+                const portConfig = this.options.ports[port];
+                this.options.initStats.stratumPorts.push(portConfig.tls ? `${port} (TLS)` : port);
+                if (portConfig.websocketPort) {
+                    this.options.initStats.stratumPorts.push(`${portConfig.websocketPort} (${portConfig.tls ? 'wss' : 'ws'} for ${port})`);
+                }
+            });
+            this.stratumServer.broadcastMiningJobs(client => this.jobParamsFor(client));
             finishedCallback();
         }).on('broadcastTimeout', () => {
             if ((process.env.forkId && process.env.forkId == '0') || (!process.env.forkId)) {
@@ -173,12 +194,32 @@ class Pool extends events.EventEmitter {
                 if (error || processedBlock) return;
                 this.jobManager.updateCurrentJob(rpcData);
             });
+        }).on('tlsReloadFailed', (port, err) => {
+            emitErrorLog(`Failed to reload TLS certificate for port ${port}: ${err.message}`);
+        }).on('maxConnectionsReached', address => {
+            emitWarningLog(`Refused connection from ${address}: this fork is at its share of ${this.options.connectionLimits.maxConnections} connections`);
+        }).on('maxConnectionsPerIpReached', address => {
+            emitWarningLog(`Refused connection from ${address}: already has this fork's share of ${this.options.connectionLimits.maxConnectionsPerIp} connections`);
+        }).on('connectionRateLimited', address => {
+            emitWarningLog(`Refused connection from ${address}: too many new connections`);
+        }).on('unauthorizedTimeout', client => {
+            emitWarningLog(`Disconnected ${client.getLabel()}: not authorized after ${this.options.connectionLimits.unauthorizedTimeout} seconds`);
+        }).on('bannedIP', (ip, until, reason) => {
+            emitWarningLog(`Banned ${ip} until ${new Date(until).toISOString()}: ${reason}`);
+            this.emit('bannedIP', ip, until, reason);
+        }).on('kickedBannedIP', (ip, timeLeft) => {
+            emitLog(`Rejected connection from banned IP ${ip} (${timeLeft} seconds left)`);
         }).on('client.connected', client => {
             if (this.varDiff && this.varDiff[client.socket.localPort]) {
                 this.varDiff[client.socket.localPort].manageClient(client);
             }
             client.on('difficultyChanged', diff => {
                 this.emit('difficultyUpdate', client.workerName, diff);
+            }).on('authorized', () => {
+                // Work from before authorization paid the pool address without the worker's tag
+                if (this.options.workerPayouts || this.options.coinbaseWorkerTag) {
+                    client.sendMiningJob(this.jobParamsFor(client));
+                }
             }).on('subscription', (params, resultCallback) => {
                 const extraNonce = this.jobManager.extraNonceCounter.next();
                 resultCallback(null, extraNonce, extraNonce);
@@ -193,7 +234,7 @@ class Pool extends events.EventEmitter {
                 } else {
                     sendDiff(cJobDiff);
                 }
-                client.sendMiningJob(this.jobManager.currentJob.getJobParams());
+                client.sendMiningJob(this.jobParamsFor(client));
             }).on('submit', (params, resultCallback) => {
                 const result = this.jobManager.processShare(
                     params.jobId,
@@ -221,6 +262,8 @@ class Pool extends events.EventEmitter {
                 emitLog(`Unknown stratum method from ${client.getLabel()}: ${fullMessage.method}`);
             }).on('socketFlooded', () => {
                 emitWarningLog(`Detected socket flooding from ${client.getLabel()}`);
+            }).on('proxyProtocolError', reason => {
+                emitWarningLog(`PROXY protocol error from ${client.getLabel()}: ${reason}`);
             });
         });
     }
@@ -231,7 +274,8 @@ class Pool extends events.EventEmitter {
      */
     getFirstJob(finishedCallback) {
         this.GetBlockTemplate(this.jobManager, this.varDiff, (error, result) => {
-            if (error) {
+            // The first template can also be refused by JobManager's coinbase checks
+            if (error || !this.jobManager.currentJob) {
                 emitErrorLog('Error with getblocktemplate on creating first job, server cannot start');
                 return;
             }
@@ -314,13 +358,16 @@ class Pool extends events.EventEmitter {
      */
     processBlockNotify(blockHash, sourceTrigger) {
         const isDefined = jMthing => typeof jMthing !== 'undefined';
+        // p2p inv messages carry the hash in internal byte order, blocknotify in the order RPC uses
+        if (sourceTrigger === 'p2p') {
+            blockHash = util.reverseHex(blockHash);
+        }
         if (isDefined(this.jobManager) &&
             isDefined(this.jobManager.currentJob) &&
             isDefined(this.jobManager.currentJob.rpcData.previousblockhash) &&
             blockHash !== this.jobManager.currentJob.rpcData.previousblockhash) {
             if (!process.env.forkId || process.env.forkId === '0') {
                 setTimeout(() => {
-                    blockHash = util.reverseHex(blockHash);
                     this.daemon.cmd('getblock', [blockHash], async results => {
                         const validResults = results.filter(result => result.response && result.response.hash === blockHash);
                         if (validResults.length >= 1) {
@@ -331,6 +378,9 @@ class Pool extends events.EventEmitter {
                     });
                 }, 500);
             }
+            if (this.options.emptyJobOnNewBlock) {
+                this.sendEmptyJob(blockHash);
+            }
             this.GetBlockTemplate(this.jobManager, this.varDiff, error => {
                 if (error) {
                     emitErrorLog(`Block notify error getting block template for ${this.options.coin.name}`);
@@ -339,6 +389,21 @@ class Pool extends events.EventEmitter {
         }
     }
 
+    /**
+     * Gives miners work on a new tip without waiting for its block template, using an empty job
+     * built from the headers up to the tip (see JobManager.processEmptyJob).
+     * @param {string} blockHash - The hash of the new tip.
+     */
+    sendEmptyJob(blockHash) {
+        this.blockUtils.GetRecentHeaders(blockHash, headersNeeded(this.options.coin.difficultyAdjustment), (error, headers) => {
+            if (error) {
+                emitWarningLog(`Could not get the headers up to ${blockHash} (${error}); waiting for its block template instead`);
+                return;
+            }
+            this.jobManager.processEmptyJob(headers);
+        });
+    }
+
     /**
      * Relinquishes miners that match the filter function.
      * @param {Function} filterFn - The function to filter miners.
@@ -376,7 +441,160 @@ class Pool extends events.EventEmitter {
         miners.forEach(clientObj => {
             this.stratumServer.manuallyAddStratumClient(clientObj);
         });
-        this.stratumServer.broadcastMiningJobs(this.jobManager.currentJob.getJobParams());
+        this.stratumServer.broadcastMiningJobs(client => this.jobParamsFor(client));
+    }
+
+    /**
+     * Gets the mining.notify params for a client.
+     * With workerPayouts or coinbaseWorkerTag, authorized clients get their own variant of the current job
+     * that pays their own address and/or carries their rig name in the coinbase.
+     * @param {Object} client - The Stratum client.
+     * @param {boolean} [cleanJobs=true] - Whether miners should drop their previous work.
+     * @return {Array} The job params.
+     */
+    jobParamsFor(client, cleanJobs = true) {
+        const variant = {};
+        if (this.options.workerPayouts && client.payoutAddress) {
+            variant.payoutAddress = client.payoutAddress;
+            variant.payoutScript = this.payoutScripts[client.payoutAddress];
+        }
+        if (this.options.coinbaseWorkerTag && client.authorized && client.workerName) {
+            // The rig part of ADDRESS.rig; the address itself would use up the scriptSig
+            variant.workerTag = client.workerName.split('.').slice(1).join('.') || undefined;
+        }
+        const job = variant.payoutAddress || variant.workerTag ? this.jobManager.getWorkerJob(variant) : this.jobManager.currentJob;
+        const jobParams = job.getJobParams().slice();
+        jobParams[7] = cleanJobs;
+        return jobParams;
+    }
+
+    /**
+     * Authorizes a client; with workerPayouts, the address part of the worker name must also be an address
+     * the daemon accepts, since blocks the worker finds pay it.
+     * @param {string} ip - The IP address of the client.
+     * @param {number} port - The port the client connected to.
+     * @param {string} address - The address part of the worker name.
+     * @param {string} password - The worker password.
+     * @param {Function} callback - Called with the authorization result.
+     */
+    authorizeClient(ip, port, address, password, callback) {
+        if (!this.options.workerPayouts) {
+            this.authorizeFn(ip, port, address, password, callback);
+            return;
+        }
+        this.validatePayoutAddress(address, payoutScript => {
+            if (!payoutScript) {
+                emitWarningLog(`Refused worker ${address}@${ip}: not a valid payout address`);
+                callback({ error: [24, 'invalid payout address', null], authorized: false, disconnect: true });
+                return;
+            }
+            this.authorizeFn(ip, port, address, password, result => {
+                callback({ ...result, payoutAddress: address });
+            });
+        });
+    }
+
+    /**
+     * Validates a worker payout address with the daemon, caching the output script of valid addresses.
+     * @param {string} address - The address to validate.
+     * @param {Function} callback - Called with the output script, or null if the address is not valid.
+     */
+    validatePayoutAddress(address, callback) {
+        if (this.payoutScripts[address]) {
+            callback(this.payoutScripts[address]);
+            return;
+        }
+        this.daemon.cmd('validateaddress', [address], results => {
+            const valid = results.find(result => result.response && result.response.isvalid && result.response.scriptPubKey);
+            if (!valid) {
+                callback(null);
+                return;
+            }
+            this.payoutScripts[address] = Buffer.from(valid.response.scriptPubKey, 'hex');
+            callback(this.payoutScripts[address]);
+        });
+    }
+
+    /**
+     * Asks every connected miner to reconnect, optionally to another host.
+     * @param {Object} target - The reconnect target.
+     * @param {string} [target.host] - The host to reconnect to; miners reconnect to this host when omitted.
+     * @param {number} [target.port] - The port to reconnect to.
+     * @param {number} [target.wait] - The number of seconds miners should wait before reconnecting.
+     */
+    reconnectMiners({ host, port, wait }) {
+        if (!this.stratumServer) return;
+        const count = this.stratumServer.sendReconnect(host, port, wait);
+        doLog('debug', `Asked ${count} miner(s) to reconnect${host ? ` to ${host}:${port}` : ''}`, process.env.forkId);
+    }
+
+    /**
+     * Gracefully drains the pool: stops accepting miners, asks connected miners to reconnect and waits
+     * for them to leave (up to drainTimeout seconds) and for in-flight block submissions to finish.
+     * @param {Object} target - The reconnect target, see reconnectMiners.
+     * @param {Function} finishedCallback - The callback to execute once the pool is drained.
+     */
+    drain(target, finishedCallback) {
+        if (this.draining) return;
+        this.draining = true;
+        clearInterval(this.blockPollingIntervalId);
+        if (!this.stratumServer) {
+            finishedCallback();
+            return;
+        }
+        this.stratumServer.stopListening();
+        this.reconnectMiners(target);
+
+        const deadline = Date.now() + (this.options.drainTimeout || DEFAULT_DRAIN_TIMEOUT) * 1000;
+        const checkDrained = () => {
+            const clientsLeft = Object.keys(this.stratumServer.getStratumClients()).length;
+            if ((clientsLeft === 0 || Date.now() >= deadline) && this.pendingBlockSubmissions === 0) {
+                doLog('debug', `Drained with ${clientsLeft} miner(s) still connected`, process.env.forkId);
+                finishedCallback();
+                return;
+            }
+            setTimeout(checkDrained, DRAIN_CHECK_INTERVAL_MS);
+        };
+        checkDrained();
+    }
+
+    /**
+     * Reloads the certificates of the TLS-enabled stratum ports.
+     */
+    reloadTlsCertificates() {
+        if (!this.stratumServer) return;
+        const reloaded = this.stratumServer.reloadTlsCertificates();
+        if (reloaded.length > 0) {
+            doLog('debug', `Reloaded TLS certificate(s) for port(s) ${reloaded.join(', ')}`, process.env.forkId);
+        }
+    }
+
+    /**
+     * Bans an IP until the given time, disconnecting its miners.
+     * Bans received before the Stratum server is up are applied once it starts.
+     * @param {string} ip - The IP to ban.
+     * @param {number} until - When the ban ends, in milliseconds since the epoch.
+     */
+    banIP(ip, until) {
+        if (!this.stratumServer) {
+            this.pendingBans[ip] = until;
+            return;
+        }
+        const kicked = this.stratumServer.banIP(ip, until);
+        if (kicked > 0) {
+            doLog('debug', `Disconnected ${kicked} miner(s) from banned IP ${ip}`, process.env.forkId);
+        }
+    }
+
+    /**
+     * Lifts the ban on an IP.
+     * @param {string} ip - The IP to unban.
+     */
+    unbanIP(ip) {
+        delete this.pendingBans[ip];
+        if (this.stratumServer) {
+            this.stratumServer.unbanIP(ip);
+        }
     }
 
     /**
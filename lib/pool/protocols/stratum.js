@@ -1,15 +1,44 @@
+const fs = require('fs');
 const net = require('net');
+const tls = require('tls');
 const events = require('events');
 const logging = require('@middlewares/logging.js');
 const algos = require('@blockchain/algoProperties.js');
+const websocket = require('@protocols/websocket.js');
+const { normalizeAddress } = require('@helpers/proxyProtocol.js');
 const {
     SubscriptionCounter,
     sendJson,
     setupSocket,
     getSafeString,
-    getSafeWorkerString
+    getSafeWorkerString,
+    parsePasswordOptions
 } = require('@pool/helpers/stratumUtil.js');
 
+// Proxies allowed to send PROXY headers when a port does not list its own
+const DEFAULT_TRUSTED_PROXIES = ['127.0.0.1', '::1'];
+
+// Seconds over which connectionLimits.maxNewConnectionsPerIp is counted when no window is configured
+const DEFAULT_NEW_CONNECTION_WINDOW = 60;
+
+// Banning defaults, used for any banning setting left out of the config
+const DEFAULT_BAN_TIME = 600;
+const DEFAULT_BAN_INVALID_PERCENT = 50;
+const DEFAULT_BAN_CHECK_THRESHOLD = 500;
+const DEFAULT_BAN_PURGE_INTERVAL = 300;
+
+/**
+ * Reads the key and certificate files of a TLS-enabled port.
+ * @param {Object} tlsConfig The port's tls block.
+ * @param {string} tlsConfig.key Path to the PEM private key.
+ * @param {string} tlsConfig.cert Path to the PEM certificate chain.
+ * @return {Object} The key and certificate for tls.createServer or setSecureContext.
+ */
+const loadTlsOptions = (tlsConfig) => ({
+    key: fs.readFileSync(tlsConfig.key),
+    cert: fs.readFileSync(tlsConfig.cert)
+});
+
 /**
  * Represents a Stratum client.
  * This class handles the communication with a single mining client.
@@ -19,7 +48,7 @@ const {
 const StratumClient = function (options) {
     let pendingDifficulty = null;
     this.socket = options.socket;
-    this.remoteAddress = options.socket.remoteAddress;
+    this.remoteAddress = normalizeAddress(options.socket.remoteAddress);
     const self = this;
     this.lastActivity = Date.now();
 
@@ -38,14 +67,32 @@ const StratumClient = function (options) {
     /**
      * Enqueues the next difficulty for the client.
      * This function sets the next difficulty level for the client.
+     * Workers with a static difficulty are left alone and the worker's minimum difficulty is honored.
      * @param {number} requestedNewDifficulty The requested new difficulty.
      * @return {boolean} True if the difficulty was enqueued, false otherwise.
      */
     this.enqueueNextDifficulty = (requestedNewDifficulty) => {
-        pendingDifficulty = requestedNewDifficulty;
+        if (self.staticDifficulty) {
+            return false;
+        }
+        pendingDifficulty = Math.max(requestedNewDifficulty, self.minDifficulty || 0);
         return true;
     };
 
+    /**
+     * Keeps a difficulty the miner asked for within what its port allows: the varDiff range,
+     * or at least the fixed diff of ports without varDiff.
+     * @param {number} difficulty The requested difficulty.
+     * @return {number} The difficulty the port allows.
+     */
+    const clampToPort = (difficulty) => {
+        const portConfig = options.portConfig || {};
+        if (portConfig.varDiff) {
+            return Math.min(Math.max(difficulty, portConfig.varDiff.minDiff), portConfig.varDiff.maxDiff);
+        }
+        return Math.max(difficulty, portConfig.diff || 0);
+    };
+
     /**
      * Handles incoming messages from the client.
      * @param {Object} message The message from the client.
@@ -69,6 +116,12 @@ const StratumClient = function (options) {
                     error: [20, "Not supported.", null]
                 });
                 break;
+            case 'mining.suggest_difficulty':
+                handleSuggestDifficulty(message, false);
+                break;
+            case 'mining.suggest_target':
+                handleSuggestDifficulty(message, true);
+                break;
             default:
                 self.emit('unknownStratumMethod', message);
                 break;
@@ -104,25 +157,59 @@ const StratumClient = function (options) {
      * @param {Object} message The authorization message from the client.
      */
     const handleAuthorize = (message) => {
+        const passwordOptions = parsePasswordOptions(message.params[1]);
         self.workerName = getSafeWorkerString(message.params[0]);
         self.workerPass = getSafeString(message.params[1]);
+        // Password options can't take a worker outside its port's difficulty range
+        self.staticDifficulty = passwordOptions.staticDiff && clampToPort(passwordOptions.staticDiff);
+        self.minDifficulty = passwordOptions.minDiff && clampToPort(passwordOptions.minDiff);
         self.config = JSON.parse(process.env.config);
         const addr = self.workerName.split(".")[0];
         options.authorizeFn(self.remoteAddress, options.socket.localPort, addr, self.workerPass, (result) => {
             self.authorized = (!result.error && result.authorized);
+            self.payoutAddress = self.authorized ? result.payoutAddress : undefined;
             sendJson(self.socket, {
                 id: message.id,
                 result: self.authorized,
                 error: result.error
             });
             if (self.authorized) {
-                difficulty = self.config.ports[options.socket.localPort].diff;
+                const startDifficulty = passwordOptions.startDiff ? clampToPort(passwordOptions.startDiff) : (self.suggestedDifficulty || self.config.ports[options.socket.localPort].diff);
+                const difficulty = self.staticDifficulty || Math.max(startDifficulty, self.minDifficulty || 0);
                 self.sendDifficulty(difficulty); // Send target after authorization
+                self.emit('authorized');
             }
             if (result.disconnect === true) { options.socket.destroy(); }
         });
     };
 
+    /**
+     * Handles difficulty suggestions from the client.
+     * The suggestion is clamped to the port's varDiff range; ports without varDiff keep their fixed diff.
+     * Workers with a static difficulty from their password options ignore suggestions.
+     * Suggestions made before authorization are applied when the client is authorized.
+     * @param {Object} message The mining.suggest_difficulty or mining.suggest_target message.
+     * @param {boolean} isTarget Whether the suggestion is a share target rather than a difficulty.
+     */
+    const handleSuggestDifficulty = (message, isTarget) => {
+        const portConfig = options.portConfig || {};
+        const value = Array.isArray(message.params) ? message.params[0] : undefined;
+        const requested = isTarget ? algos.zcash.diff1 / parseInt(value, 16) : Number(value);
+        const isValid = Number.isFinite(requested) && requested > 0;
+        if (isValid && !self.staticDifficulty) {
+            const suggested = portConfig.varDiff ? clampToPort(requested) : portConfig.diff;
+            self.suggestedDifficulty = Math.max(suggested, self.minDifficulty || 0);
+            if (self.authorized) { self.sendDifficulty(self.suggestedDifficulty); }
+        }
+        if (message.id !== null && typeof message.id !== 'undefined') {
+            sendJson(self.socket, {
+                id: message.id,
+                result: isValid,
+                error: isValid ? null : [20, "invalid difficulty suggestion", null]
+            });
+        }
+    };
+
     /**
      * Sends the difficulty to the client.
      * This function sends the new difficulty level to the client.
@@ -160,6 +247,29 @@ const StratumClient = function (options) {
         return true;
     };
 
+    /**
+     * Asks the client to reconnect, optionally to another host and port.
+     * Without a host the miner reconnects to the same host, e.g. after a restart.
+     * @param {string} [host] The host to reconnect to.
+     * @param {number} [port] The port to reconnect to.
+     * @param {number} [wait] The number of seconds to wait before reconnecting.
+     */
+    this.sendReconnect = (host, port, wait) => {
+        const params = [];
+        if (host) {
+            params.push(host);
+            if (port) {
+                params.push(port);
+                if (typeof wait !== 'undefined') { params.push(wait); }
+            }
+        }
+        sendJson(self.socket, {
+            id: null,
+            method: "client.reconnect",
+            params: params
+        });
+    };
+
     /**
      * Sends a mining job to the client.
      * This function sends a new mining job to the client.
@@ -220,11 +330,13 @@ const StratumClient = function (options) {
             soln: message.params[4],
             nonce: self.extraNonce1 + message.params[3]
         }, (error, result) => {
+            // JobManager errors are [code, message]; stratum replies carry a third (traceback) element
             sendJson(self.socket, {
                 id: message.id,
-                result: true,
-                error: null
+                result: error ? null : result,
+                error: error ? [error[0], error[1], null] : null
             });
+            self.emit('submitResult', !error);
         });
     };
 
@@ -245,6 +357,8 @@ const StratumClient = function (options) {
      */
     this.manuallySetValues = (otherClient) => {
         self.extraNonce1 = otherClient.extraNonce1;
+        self.staticDifficulty = otherClient.staticDifficulty;
+        self.minDifficulty = otherClient.minDifficulty;
         self.previousDifficulty = otherClient.previousDifficulty;
         self.difficulty = otherClient.difficulty;
     };
@@ -264,68 +378,326 @@ const StratumServer = function StratumServer(options, authorizeFn) {
     const self = this;
     const stratumClients = {};
     const subscriptionCounter = SubscriptionCounter();
+    const tlsServers = {};
+    const servers = [];
+    const limits = options.connectionLimits || {};
+    const connectionsPerIp = {};
+    const recentConnections = {};
+    const banning = options.banning || {};
+    const bannedIPs = {};
+    const shareCounts = {};
     let rebroadcastTimeout;
+    let banPurgeInterval;
+    let connectionPurgeInterval;
+
+    /**
+     * Counts a share toward its IP's invalid share ratio and bans the IP once enough shares are in
+     * and too many of them were invalid.
+     * @param {Object} client The client that submitted the share.
+     * @param {boolean} shareValid Whether the share was accepted.
+     */
+    const considerBan = (client, shareValid) => {
+        const ip = client.remoteAddress;
+        const counts = shareCounts[ip] || (shareCounts[ip] = { valid: 0, invalid: 0 });
+        if (shareValid) { counts.valid++; } else { counts.invalid++; }
+        const totalShares = counts.valid + counts.invalid;
+        if (totalShares < (banning.checkThreshold || DEFAULT_BAN_CHECK_THRESHOLD)) { return; }
+        delete shareCounts[ip];
+        if ((counts.invalid * 100) / totalShares < (banning.invalidPercent || DEFAULT_BAN_INVALID_PERCENT)) { return; }
+        const until = Date.now() + (banning.time || DEFAULT_BAN_TIME) * 1000;
+        self.banIP(ip, until);
+        self.emit('bannedIP', ip, until, `${counts.invalid} out of the last ${totalShares} shares were invalid`);
+    };
+
+    /**
+     * Gets the connections an IP opened within newConnectionWindow, dropping older ones and forgetting
+     * the IP once it has none.
+     * @param {string} ip The IP.
+     * @param {number} now The current time in milliseconds.
+     * @return {Array<number>} When each of the IP's recent connections was opened.
+     */
+    const recentConnectionsOf = (ip, now) => {
+        const windowStart = now - (limits.newConnectionWindow || DEFAULT_NEW_CONNECTION_WINDOW) * 1000;
+        const recent = (recentConnections[ip] || []).filter(ts => ts > windowStart);
+        if (recent.length === 0) {
+            delete recentConnections[ip];
+        } else {
+            recentConnections[ip] = recent;
+        }
+        return recent;
+    };
+
+    /**
+     * Checks the per-IP connection limits for a client's address and counts the connection if it is allowed.
+     * @param {Object} client The client to admit.
+     * @return {string|null} The name of the event for the limit that was hit, or null if the client is admitted.
+     */
+    const admitAddress = (client) => {
+        const ip = client.remoteAddress;
+        const now = Date.now();
+        if (limits.maxConnectionsPerIp > 0 && (connectionsPerIp[ip] || 0) >= limits.maxConnectionsPerIp) {
+            return 'maxConnectionsPerIpReached';
+        }
+        if (limits.maxNewConnectionsPerIp > 0) {
+            const recent = recentConnectionsOf(ip, now);
+            if (recent.length >= limits.maxNewConnectionsPerIp) {
+                return 'connectionRateLimited';
+            }
+            recent.push(now);
+            recentConnections[ip] = recent;
+        }
+        connectionsPerIp[ip] = (connectionsPerIp[ip] || 0) + 1;
+        client.countedAddress = ip;
+        return null;
+    };
+
+    /**
+     * Releases a client's per-IP connection count.
+     * @param {Object} client The disconnected client.
+     */
+    const releaseAddress = (client) => {
+        const ip = client.countedAddress;
+        if (typeof ip === 'undefined') { return; }
+        connectionsPerIp[ip]--;
+        if (connectionsPerIp[ip] <= 0) { delete connectionsPerIp[ip]; }
+        delete client.countedAddress;
+    };
 
     /**
      * Handles a new client connection.
      * This function sets up a new Stratum client for the connected socket.
+     * Connections over the configured connection limits are dropped and reported with their own event.
      * @param {Object} socket The socket of the new client.
-     * @return {string} The subscription ID of the new client.
+     * @param {boolean} [isTransfer=false] Whether the client is being moved from another fork, which skips the limits.
+     * @return {string|null} The subscription ID of the new client, or null if the connection was dropped.
      */
-    this.handleNewClient = (socket) => {
+    this.handleNewClient = (socket, isTransfer = false) => {
+        if (!isTransfer && limits.maxConnections > 0 && Object.keys(stratumClients).length >= limits.maxConnections) {
+            self.emit('maxConnectionsReached', socket.remoteAddress);
+            socket.destroy();
+            return null;
+        }
+        const portConfig = options.ports[socket.localPort] || {};
+        const tcpProxyProtocol = !socket.isWebSocket && (portConfig.tcpProxyProtocol === true || options.tcpProxyProtocol === true);
         socket.setKeepAlive(true);
         const subscriptionId = subscriptionCounter.next();
         const client = new StratumClient({
             subscriptionId: subscriptionId,
             authorizeFn: authorizeFn,
             socket: socket,
-            banning: options.banning,
+            portConfig: portConfig,
             connectionTimeout: options.connectionTimeout,
-            tcpProxyProtocol: options.tcpProxyProtocol,
+            tcpProxyProtocol: tcpProxyProtocol,
+            trustedProxies: portConfig.trustedProxies || options.trustedProxies || DEFAULT_TRUSTED_PROXIES,
             hasInitialTarget: false
         });
+
+        // Bans and per-IP limits apply to the miner's real address, which is only known after a PROXY header
+        const checkAddress = () => {
+            const banTimeLeft = self.getBanTimeLeft(client.remoteAddress);
+            if (banTimeLeft > 0) {
+                self.emit('kickedBannedIP', client.remoteAddress, banTimeLeft);
+                socket.destroy();
+                return;
+            }
+            const limitHit = admitAddress(client);
+            if (limitHit) {
+                self.emit(limitHit, client.remoteAddress);
+                socket.destroy();
+            }
+        };
+
+        let unauthorizedTimer;
+        if (!isTransfer && limits.unauthorizedTimeout > 0) {
+            unauthorizedTimer = setTimeout(() => {
+                if (!client.authorized) {
+                    self.emit('unauthorizedTimeout', client);
+                    socket.destroy();
+                }
+            }, limits.unauthorizedTimeout * 1000);
+        }
+
         stratumClients[subscriptionId] = client;
         self.emit('client.connected', client);
         client.on('socketDisconnect', () => {
+            clearTimeout(unauthorizedTimer);
+            releaseAddress(client);
             self.removeStratumClientBySubId(subscriptionId);
             self.emit('client.disconnected', client);
-        }).init();
+        });
+        if (banning.enabled) {
+            client.on('submitResult', (shareValid) => { considerBan(client, shareValid); });
+        }
+        if (!isTransfer && tcpProxyProtocol) {
+            client.once('proxyHeaderRead', checkAddress);
+        }
+        client.init();
+        if (!isTransfer && !tcpProxyProtocol) { checkAddress(); }
         return subscriptionId;
     };
 
     /**
      * Broadcasts mining jobs to all connected clients.
      * This function sends a new mining job to all connected clients.
-     * @param {Array} jobParams The parameters of the mining job.
+     * @param {Array|Function} jobParams The parameters of the mining job, or a function that returns them for a client.
      */
     this.broadcastMiningJobs = (jobParams) => {
         Object.keys(stratumClients).forEach((clientId) => {
             const client = stratumClients[clientId];
-            client.sendMiningJob(jobParams);
+            client.sendMiningJob(typeof jobParams === 'function' ? jobParams(client) : jobParams);
         });
     };
 
     /**
      * Initializes the Stratum server.
      * This function sets up the server to listen for incoming connections.
+     * Ports with a tls block are served over TLS, and ports with a websocketPort also accept
+     * stratum over WebSocket on that port, all with the same client handling.
      */
     const init = () => {
-        let serversStarted = 0;
+        const onConnection = (socket) => { self.handleNewClient(socket); };
+        const listeners = [];
         for (const port in options.ports) {
-            net.createServer({ allowHalfOpen: false }, (socket) => {
-                self.handleNewClient(socket);
-            }).listen(parseInt(port), () => {
+            const portConfig = options.ports[port];
+            if (portConfig.tls) {
+                const server = tls.createServer({ allowHalfOpen: false, ...loadTlsOptions(portConfig.tls) }, onConnection);
+                tlsServers[port] = { server, tlsConfig: portConfig.tls };
+                listeners.push({ port, server });
+            } else {
+                listeners.push({ port, server: net.createServer({ allowHalfOpen: false }, onConnection) });
+            }
+            if (portConfig.websocketPort) {
+                const server = websocket.createServer(parseInt(port), portConfig.tls ? loadTlsOptions(portConfig.tls) : null, onConnection);
+                if (portConfig.tls) {
+                    tlsServers[portConfig.websocketPort] = { server, tlsConfig: portConfig.tls };
+                }
+                listeners.push({ port: portConfig.websocketPort, server });
+            }
+        }
+        let serversStarted = 0;
+        listeners.forEach(({ port, server }) => {
+            servers.push(server);
+            server.listen(parseInt(port), () => {
                 serversStarted++;
-                if (serversStarted == Object.keys(options.ports).length) { self.emit('started'); }
+                if (serversStarted == listeners.length) { self.emit('started'); }
             });
-        }
+        });
         clearTimeout(rebroadcastTimeout);
         rebroadcastTimeout = setTimeout(() => {
             self.emit('broadcastTimeout');
         }, options.jobRebroadcastTimeout * 1000);
+        if (banning.enabled) {
+            banPurgeInterval = setInterval(purgeBans, (banning.purgeInterval || DEFAULT_BAN_PURGE_INTERVAL) * 1000);
+        }
+        if (limits.maxNewConnectionsPerIp > 0) {
+            connectionPurgeInterval = setInterval(purgeRecentConnections, (limits.newConnectionWindow || DEFAULT_NEW_CONNECTION_WINDOW) * 1000);
+        }
+    };
+
+    /**
+     * Forgets the IPs that opened no connections within newConnectionWindow.
+     */
+    const purgeRecentConnections = () => {
+        const now = Date.now();
+        Object.keys(recentConnections).forEach((ip) => { recentConnectionsOf(ip, now); });
+    };
+
+    /**
+     * Forgets expired bans and the share counts of IPs that are no longer connected.
+     */
+    const purgeBans = () => {
+        const now = Date.now();
+        Object.keys(bannedIPs).forEach((ip) => {
+            if (bannedIPs[ip] <= now) { delete bannedIPs[ip]; }
+        });
+        Object.keys(shareCounts).forEach((ip) => {
+            if (!connectionsPerIp[ip]) { delete shareCounts[ip]; }
+        });
     };
     init();
 
+    /**
+     * Bans an IP until the given time and disconnects its current clients.
+     * @param {string} ip The IP to ban.
+     * @param {number} until When the ban ends, in milliseconds since the epoch.
+     * @return {number} The number of clients that were disconnected.
+     */
+    this.banIP = (ip, until) => {
+        ip = normalizeAddress(ip);
+        bannedIPs[ip] = until;
+        const banned = Object.values(stratumClients).filter((client) => client.remoteAddress === ip);
+        banned.forEach((client) => { client.socket.destroy(); });
+        return banned.length;
+    };
+
+    /**
+     * Lifts the ban on an IP.
+     * @param {string} ip The IP to unban.
+     * @return {boolean} True if the IP was banned.
+     */
+    this.unbanIP = (ip) => {
+        ip = normalizeAddress(ip);
+        const wasBanned = self.getBanTimeLeft(ip) > 0;
+        delete bannedIPs[ip];
+        delete shareCounts[ip];
+        return wasBanned;
+    };
+
+    /**
+     * Gets how long an IP stays banned.
+     * @param {string} ip The IP to check.
+     * @return {number} The number of seconds left on the ban, or 0 if the IP is not banned.
+     */
+    this.getBanTimeLeft = (ip) => {
+        ip = normalizeAddress(ip);
+        if (!(ip in bannedIPs)) { return 0; }
+        const timeLeft = bannedIPs[ip] - Date.now();
+        if (timeLeft <= 0) {
+            delete bannedIPs[ip];
+            return 0;
+        }
+        return Math.ceil(timeLeft / 1000);
+    };
+
+    /**
+     * Stops accepting new connections on every port; connected clients are left alone.
+     */
+    this.stopListening = () => {
+        clearTimeout(rebroadcastTimeout);
+        clearInterval(banPurgeInterval);
+        clearInterval(connectionPurgeInterval);
+        servers.forEach((server) => { server.close(); });
+    };
+
+    /**
+     * Asks every connected client to reconnect.
+     * @param {string} [host] The host to reconnect to.
+     * @param {number} [port] The port to reconnect to.
+     * @param {number} [wait] The number of seconds to wait before reconnecting.
+     * @return {number} The number of clients that were asked to reconnect.
+     */
+    this.sendReconnect = (host, port, wait) => {
+        const subIds = Object.keys(stratumClients);
+        subIds.forEach((subId) => { stratumClients[subId].sendReconnect(host, port, wait); });
+        return subIds.length;
+    };
+
+    /**
+     * Reloads the key and certificate of every TLS port without restarting it.
+     * Existing connections keep their session; new connections get the new certificate.
+     * Emits 'tlsReloadFailed' for ports whose files could not be read, which keep the old certificate.
+     * @return {Array} The ports that were reloaded.
+     */
+    this.reloadTlsCertificates = () => Object.keys(tlsServers).filter((port) => {
+        try {
+            tlsServers[port].server.setSecureContext(loadTlsOptions(tlsServers[port].tlsConfig));
+            return true;
+        } catch (err) {
+            self.emit('tlsReloadFailed', port, err);
+            return false;
+        }
+    });
+
     /**
      * Gets all connected Stratum clients.
      * @return {Object} The connected Stratum clients.
@@ -345,7 +717,7 @@ const StratumServer = function StratumServer(options, authorizeFn) {
      * @param {Object} clientObj The client object to add.
      */
     this.manuallyAddStratumClient = (clientObj) => {
-        const subId = self.handleNewClient(clientObj.socket);
+        const subId = self.handleNewClient(clientObj.socket, true);
         if (subId != null) {
             stratumClients[subId].manuallyAuthClient(clientObj.workerName, clientObj.workerPass);
             stratumClients[subId].manuallySetValues(clientObj);
@@ -0,0 +1,90 @@
+const http = require('http');
+const https = require('https');
+const events = require('events');
+const { WebSocketServer } = require('ws');
+
+// Same limit setupSocket applies to buffered TCP data
+const MAX_MESSAGE_BYTES = 10240;
+
+/**
+ * Wraps a WebSocket connection in the subset of the net.Socket interface that StratumClient uses,
+ * so WebSocket miners go through the same message handling, varDiff and share pipeline as TCP miners.
+ * Each WebSocket message carries one JSON-RPC line.
+ */
+class WebSocketStream extends events.EventEmitter {
+    /**
+     * @param {WebSocket} ws - The WebSocket connection.
+     * @param {http.IncomingMessage} request - The HTTP upgrade request.
+     * @param {number} stratumPort - The stratum port whose settings this connection uses.
+     */
+    constructor(ws, request, stratumPort) {
+        super();
+        this.ws = ws;
+        this.isWebSocket = true;
+        this.remoteAddress = request.socket.remoteAddress;
+        this.localPort = stratumPort;
+
+        ws.on('message', (data) => {
+            this.emit('data', `${data.toString('utf8').replace(/\n+$/, '')}\n`);
+        }).on('close', () => {
+            this.emit('close');
+        }).on('error', (err) => {
+            this.emit('error', err);
+        });
+    }
+
+    /**
+     * Sends newline-delimited JSON-RPC lines, one WebSocket message per line.
+     * @param {string} data - The lines to send.
+     */
+    write(data) {
+        if (this.ws.readyState !== this.ws.OPEN) {
+            return;
+        }
+        data.split('\n').forEach((line) => {
+            if (line.length > 0) { this.ws.send(line); }
+        });
+    }
+
+    /**
+     * Closes the connection immediately.
+     */
+    destroy() {
+        this.ws.terminate();
+    }
+
+    /**
+     * Closes the connection gracefully.
+     */
+    end() {
+        this.ws.close();
+    }
+
+    // Messages are always delivered as text
+    setEncoding() {}
+
+    // WebSocket connections are kept alive by the underlying TCP socket
+    setKeepAlive() {}
+}
+
+/**
+ * Creates an HTTP(S) server that accepts stratum over WebSocket.
+ * @param {number} stratumPort - The stratum port whose settings connections use.
+ * @param {Object|null} tlsOptions - The key and certificate to serve wss://, or null for ws://.
+ * @param {Function} onConnection - Called with a socket-like stream for each new connection.
+ * @return {http.Server|https.Server} The server, not yet listening.
+ */
+const createServer = (stratumPort, tlsOptions, onConnection) => {
+    const upgradeRequired = (req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('Stratum over WebSocket only');
+    };
+    const server = tlsOptions ? https.createServer(tlsOptions, upgradeRequired) : http.createServer(upgradeRequired);
+    const wss = new WebSocketServer({ server, maxPayload: MAX_MESSAGE_BYTES });
+    wss.on('connection', (ws, request) => {
+        onConnection(new WebSocketStream(ws, request, stratumPort));
+    });
+    return server;
+};
+
+module.exports = { createServer };
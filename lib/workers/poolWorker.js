@@ -12,6 +12,7 @@ class PoolWorker {
     constructor() {
         this.config = this.loadConfig();
         this.shareCount = {};
+        this.staleShareCount = {};
         this.handlers = {
             share: () => {},
             diff: () => {}
@@ -35,6 +36,15 @@ class PoolWorker {
             process.exit(1);
         }
 
+        // The extraNonce1 range init.js assigned to this fork, so no two forks hand out the same one
+        if (process.env.extraNonceRange) {
+            config.extraNonceRange = JSON.parse(process.env.extraNonceRange);
+        }
+        // This fork's share of the pool-wide connection limits
+        if (process.env.connectionLimits) {
+            config.connectionLimits = JSON.parse(process.env.connectionLimits);
+        }
+
         return config;
     }
 
@@ -56,9 +66,24 @@ class PoolWorker {
         process.on('message', (message) => {
             if (message.type === 'blocknotify') {
                 this.pool.processBlockNotify(message.hash, 'blocknotify script');
+            } else if (message.type === 'reloadTls') {
+                this.pool.reloadTlsCertificates();
+            } else if (message.type === 'reconnect') {
+                this.pool.reconnectMiners(message);
+            } else if (message.type === 'shutdown') {
+                this.shutdown(message);
+            } else if (message.type === 'ban') {
+                this.pool.banIP(message.ip, message.until);
+            } else if (message.type === 'unban') {
+                this.pool.unbanIP(message.ip);
             }
         });
 
+        // Drain instead of dying outright when the whole process group is terminated
+        process.on('SIGTERM', () => {
+            this.shutdown({});
+        });
+
         this.pool.on('share', (isValidShare, isValidBlock, data) => {
             this.handleShare(isValidShare, isValidBlock, data);
         }).on('difficultyUpdate', (workerName, diff) => {
@@ -66,6 +91,9 @@ class PoolWorker {
                 this.emitSpecialLog(`Difficulty update workerName:${JSON.stringify(workerName)} to diff:${diff}`);
             }
             this.handlers.diff(workerName, diff);
+        }).on('bannedIP', (ip, until, reason) => {
+            // The main process keeps the ban list and shares it with the other forks
+            process.send({ type: 'bannedIP', ip, until, reason });
         });
     }
 
@@ -83,6 +111,13 @@ class PoolWorker {
             this.emitErrorLog('We thought a block was found but it was rejected by the daemon');
         }
 
+        if (data.stale) {
+            this.staleShareCount[data.worker] = (this.staleShareCount[data.worker] + 1) || 1;
+            if (this.config.printShares) {
+                this.emitGrayLog(`Stale share for job ${data.job} from ${data.worker} (${this.staleShareCount[data.worker]} stale shares)`);
+            }
+        }
+
         if (isValidShare) {
             this.shareCount[data.worker] = (this.shareCount[data.worker] + 1) || 1;
             let sillyPercent = 0;
@@ -114,6 +149,13 @@ class PoolWorker {
         }
     }
 
+    // Drain miners gracefully, then exit
+    shutdown(target) {
+        this.pool.drain(target, () => {
+            process.exit(0);
+        });
+    }
+
     // Authorization function
     authorizeFN(ip, port, workerName, password, callback) {
         this.emitSpecialLog(`Authorized ${workerName}:${password}@${ip}`);